@@ -0,0 +1,88 @@
+/**
+ * Service worker - keeps the app shell available offline
+ *
+ * Pages are network-first with the cached index.html as fallback, built
+ * assets (hashed file names) are precached on install and cache-first
+ * afterwards (lazily loaded chunks are cached the first time they load). API responses are not cached
+ * here: matches are kept in IndexedDB by the app (src/store/offlineStore.js).
+ */
+const CACHE_NAME = 'matchlog-shell-v2'
+const APP_SHELL = ['/', '/index.html', '/vite.svg']
+
+// Hashed bundles referenced by the built index.html (<script src>, <link href>)
+const ASSET_PATTERN = /(?:src|href)="(\/assets\/[^"]+)"/g
+
+/**
+ * Cache the app shell and the bundles it loads
+ * The page that registers the worker has already downloaded its bundles
+ * before the worker controls it, so without this a single online visit
+ * would leave nothing to run offline.
+ * @param {Cache} cache - Shell cache
+ * @returns {Promise<void>}
+ */
+const precache = async (cache) => {
+  await cache.addAll(APP_SHELL)
+  const index = await cache.match('/index.html')
+  const html = index ? await index.text() : ''
+  const assets = Array.from(html.matchAll(ASSET_PATTERN), match => match[1])
+  await cache.addAll([...new Set(assets)])
+}
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(CACHE_NAME)
+      .then(precache)
+      .then(() => self.skipWaiting())
+  )
+})
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys.filter(key => key !== CACHE_NAME).map(key => caches.delete(key))))
+      .then(() => self.clients.claim())
+  )
+})
+
+const networkFirst = async (request) => {
+  const cache = await caches.open(CACHE_NAME)
+  try {
+    const response = await fetch(request)
+    if (response.ok) {
+      cache.put('/index.html', response.clone())
+    }
+    return response
+  } catch (error) {
+    // Every route renders from index.html
+    const cached = await cache.match('/index.html')
+    if (cached) return cached
+    throw error
+  }
+}
+
+const cacheFirst = async (request) => {
+  const cache = await caches.open(CACHE_NAME)
+  const cached = await cache.match(request)
+  if (cached) return cached
+
+  const response = await fetch(request)
+  if (response.ok) {
+    cache.put(request, response.clone())
+  }
+  return response
+}
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event
+  if (request.method !== 'GET') return
+
+  const url = new URL(request.url)
+  // The API lives on another origin - leave it to the app
+  if (url.origin !== self.location.origin) return
+
+  if (request.mode === 'navigate') {
+    event.respondWith(networkFirst(request))
+  } else if (url.pathname.startsWith('/assets/') || url.pathname.startsWith('/icons/')) {
+    event.respondWith(cacheFirst(request))
+  }
+})
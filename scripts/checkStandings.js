@@ -0,0 +1,141 @@
+/**
+ * Fixture checks for the standings engine (src/clients/standings.js)
+ *
+ * The engine is pure, so it runs in Node without a test framework:
+ *   npm run check:standings
+ *
+ * Runs every check and exits with a non-zero code if any of them fails.
+ */
+import assert from 'node:assert/strict'
+import { computeStandings, computeGroupStandings } from '../src/clients/standings.js'
+
+const team = (id) => ({ id, name: `Team ${id}`, shortName: `T${id}`, tla: `T${id}`, crest: null })
+
+let day = 0
+const match = (homeId, awayId, home, away, extra = {}) => ({
+  id: ++day,
+  utcDate: new Date(Date.UTC(2025, 0, day)).toISOString(),
+  status: 'FINISHED',
+  homeTeam: team(homeId),
+  awayTeam: team(awayId),
+  score: { winner: null, fullTime: { home, away } },
+  group: null,
+  ...extra
+})
+
+// Team IDs of a table, top first
+const order = (table) => table.map(row => row.team.id)
+
+const checks = []
+const check = (name, run) => checks.push({ name, run })
+
+check('points, W/D/L and goals', () => {
+  const table = computeStandings([
+    match(1, 2, 2, 0),
+    match(2, 3, 1, 1),
+    match(3, 1, 0, 3),
+    match(1, 3, 1, 1)
+  ])
+  const [first] = table
+  assert.deepEqual(order(table), [1, 3, 2])
+  assert.equal(first.played, 3)
+  assert.deepEqual([first.won, first.drawn, first.lost], [2, 1, 0])
+  assert.deepEqual([first.goalsFor, first.goalsAgainst, first.goalDifference], [6, 1, 5])
+  assert.equal(first.points, 7)
+  assert.deepEqual(table.map(row => row.points), [7, 2, 1])
+  assert.deepEqual(table.map(row => row.position), [1, 2, 3])
+})
+
+check('custom points per result', () => {
+  const table = computeStandings([match(1, 2, 1, 0), match(3, 4, 2, 2)], { points: { win: 2, draw: 1, loss: 0 } })
+  assert.deepEqual(table.map(row => row.points), [2, 1, 1, 0])
+})
+
+check('only finished and awarded matches count, score.winner wins', () => {
+  const table = computeStandings([
+    match(1, 2, 3, 0, { status: 'SCHEDULED' }),
+    match(1, 2, null, null, { status: 'FINISHED' }),
+    match(2, 1, 0, 0, { status: 'AWARDED', score: { winner: 'AWAY_TEAM', fullTime: { home: 0, away: 0 } } })
+  ])
+  assert.deepEqual(order(table), [1, 2])
+  assert.equal(table[0].played, 1)
+  assert.equal(table[0].points, 3)
+  assert.equal(table[1].points, 0)
+})
+
+check('goal difference before goals scored', () => {
+  // Team 1: +1 with 4 scored, team 2: +2 with 2 scored
+  const table = computeStandings([match(1, 3, 4, 3), match(2, 4, 2, 0)])
+  assert.deepEqual(order(table).slice(0, 2), [2, 1])
+})
+
+check('goals scored when goal difference is level', () => {
+  // Both +1; team 2 scored 3, team 1 scored 1
+  const table = computeStandings([match(1, 3, 1, 0), match(2, 4, 3, 2)])
+  assert.deepEqual(order(table).slice(0, 2), [2, 1])
+})
+
+check('head-to-head between teams level on points, goal difference and goals', () => {
+  // Teams 1 and 2 both have 4 points, +1 and 3 scored; team 2 won their match
+  const table = computeStandings([
+    match(1, 3, 3, 1),
+    match(2, 1, 1, 0),
+    match(1, 4, 0, 0),
+    match(2, 3, 2, 2)
+  ])
+  const [first, second] = table
+  assert.deepEqual([first.points, first.goalDifference, first.goalsFor], [second.points, second.goalDifference, second.goalsFor])
+  assert.deepEqual(order(table).slice(0, 2), [2, 1])
+})
+
+check('name breaks a tie nothing else separates', () => {
+  const table = computeStandings([match(2, 4, 1, 0), match(1, 3, 1, 0)])
+  assert.deepEqual(order(table), [1, 2, 3, 4])
+})
+
+check('custom tie-breaker order', () => {
+  // Same fixture as "goal difference before goals scored", goals first
+  const table = computeStandings([match(1, 3, 4, 3), match(2, 4, 2, 0)], { tieBreakers: ['points', 'goalsFor', 'name'] })
+  assert.deepEqual(order(table).slice(0, 2), [1, 2])
+})
+
+check('unknown tie-breakers throw', () => {
+  assert.throws(() => computeStandings([], { tieBreakers: ['points', 'coinToss'] }), /coinToss/)
+})
+
+check('form is the latest results, oldest first', () => {
+  const table = computeStandings([
+    match(1, 2, 1, 0),
+    match(1, 2, 0, 0),
+    match(2, 1, 2, 0),
+    match(1, 2, 3, 1)
+  ], { formLength: 3 })
+  const row = table.find(item => item.team.id === 1)
+  assert.deepEqual(row.form, ['D', 'L', 'W'])
+})
+
+check('one table per group, knockout matches ignored', () => {
+  const tables = computeGroupStandings([
+    match(3, 4, 0, 1, { group: 'GROUP_B' }),
+    match(1, 2, 2, 1, { group: 'GROUP_A' }),
+    match(1, 3, 5, 0)
+  ])
+  assert.deepEqual(tables.map(item => item.group), ['GROUP_A', 'GROUP_B'])
+  assert.deepEqual(order(tables[0].table), [1, 2])
+  assert.deepEqual(order(tables[1].table), [4, 3])
+  assert.equal(tables[0].table[0].goalsFor, 2)
+})
+
+let failed = 0
+checks.forEach(({ name, run }) => {
+  try {
+    run()
+    console.log(`ok - ${name}`)
+  } catch (error) {
+    failed += 1
+    console.error(`not ok - ${name}\n${error.message}`)
+  }
+})
+
+console.log(`${checks.length - failed}/${checks.length} standings checks passed`)
+process.exitCode = failed > 0 ? 1 : 0
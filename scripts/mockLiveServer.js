@@ -0,0 +1,180 @@
+/**
+ * Mock match API for trying live score updates locally
+ *
+ * Serves a handful of matches whose scores and statuses change over time:
+ *   npm run mock:live
+ *   VITE_API_BASE_URL=http://localhost:8090 VITE_LIVE_POLL_INTERVAL=3000 npm run dev
+ *
+ * Endpoints: GET /api/matches, /api/matches/today, /api/matches/status/{status},
+ * /api/matches/{id} and /api/comments/event/{id} (always empty).
+ *
+ * Changes are also pushed as `match-update` events on the Server-Sent Events
+ * stream GET /api/realtime/matches - run the dev server with
+ * VITE_REALTIME_TRANSPORT=sse to use it.
+ */
+import http from 'node:http'
+
+const PORT = Number(process.env.MOCK_PORT) || 8090
+const TICK_MS = Number(process.env.MOCK_TICK_MS) || 5000
+const GOAL_CHANCE = 0.2
+
+const team = (id, name, shortName) => ({ id, name, shortName, tla: shortName.slice(0, 3).toUpperCase(), crest: null })
+
+const competition = {
+  id: 2021,
+  name: 'Premier League',
+  code: 'PL',
+  type: 'LEAGUE',
+  emblem: null
+}
+
+const createMatch = (id, homeTeam, awayTeam, status, kickoffOffsetMs, score = [null, null]) => ({
+  id,
+  utcDate: new Date(Date.now() + kickoffOffsetMs).toISOString(),
+  status,
+  matchday: 12,
+  stage: 'REGULAR_SEASON',
+  group: null,
+  lastUpdated: new Date().toISOString(),
+  area: { id: 2072, name: 'England', code: 'ENG', flag: null },
+  competition,
+  season: null,
+  homeTeam,
+  awayTeam,
+  score: {
+    winner: null,
+    duration: 'REGULAR',
+    fullTime: { home: score[0], away: score[1] },
+    halfTime: { home: null, away: null }
+  },
+  comments: [],
+  // Simulation state, stripped from responses
+  minute: status === 'IN_PLAY' ? 30 : 0
+})
+
+const matches = [
+  createMatch(9001, team(57, 'Arsenal FC', 'Arsenal'), team(61, 'Chelsea FC', 'Chelsea'), 'IN_PLAY', -30 * 60000, [0, 0]),
+  createMatch(9002, team(64, 'Liverpool FC', 'Liverpool'), team(65, 'Manchester City FC', 'Man City'), 'TIMED', 2 * TICK_MS),
+  createMatch(9003, team(66, 'Manchester United FC', 'Man United'), team(73, 'Tottenham Hotspur FC', 'Tottenham'), 'FINISHED', -3 * 3600000, [2, 1])
+]
+
+// Open Server-Sent Events streams
+const streams = new Set()
+
+const broadcast = (match) => {
+  const payload = {
+    type: 'match-update',
+    matchId: match.id,
+    match: { score: match.score, status: match.status, lastUpdated: match.lastUpdated }
+  }
+  streams.forEach(({ res, matchIds }) => {
+    if (!matchIds || matchIds.includes(match.id)) {
+      res.write(`event: match-update\ndata: ${JSON.stringify(payload)}\n\n`)
+    }
+  })
+}
+
+// Each tick is ten minutes of football
+const advance = (match) => {
+  const now = Date.now()
+
+  if (match.status === 'TIMED' && new Date(match.utcDate).getTime() <= now) {
+    match.status = 'IN_PLAY'
+    match.score.fullTime = { home: 0, away: 0 }
+  } else if (match.status === 'PAUSED') {
+    match.status = 'IN_PLAY'
+  } else if (match.status === 'IN_PLAY') {
+    match.minute += 10
+    if (Math.random() < GOAL_CHANCE) {
+      const side = Math.random() < 0.5 ? 'home' : 'away'
+      match.score.fullTime[side] += 1
+      console.log(`GOAL ${match.id}: ${match.score.fullTime.home} - ${match.score.fullTime.away}`)
+    }
+    if (match.minute === 50) {
+      match.status = 'PAUSED'
+      match.score.halfTime = { ...match.score.fullTime }
+    } else if (match.minute >= 100) {
+      const { home, away } = match.score.fullTime
+      match.status = 'FINISHED'
+      match.score.winner = home === away ? 'DRAW' : home > away ? 'HOME_TEAM' : 'AWAY_TEAM'
+    }
+  } else {
+    return
+  }
+
+  match.lastUpdated = new Date().toISOString()
+  console.log(`${match.id} ${match.status} ${match.minute}'`)
+  broadcast(match)
+}
+
+setInterval(() => matches.forEach(advance), TICK_MS)
+
+const toResponse = ({ minute, ...match }) => match
+
+const routes = [
+  [/^\/api\/matches\/?$/, () => matches.map(toResponse)],
+  [/^\/api\/matches\/today$/, () => matches.map(toResponse)],
+  [/^\/api\/matches\/status\/(\w+)$/, ([status]) => matches.filter(match => match.status === status.toUpperCase()).map(toResponse)],
+  [/^\/api\/matches\/(\d+)$/, ([id]) => {
+    const match = matches.find(item => item.id === Number(id))
+    return match ? toResponse(match) : undefined
+  }],
+  [/^\/api\/comments\/event\/\d+$/, () => []]
+]
+
+const corsHeaders = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'Authorization, Content-Type',
+  'Access-Control-Allow-Methods': 'GET, OPTIONS'
+}
+
+const send = (res, status, body) => {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...corsHeaders })
+  res.end(body === undefined ? '' : JSON.stringify(body))
+}
+
+const openStream = (req, res, searchParams) => {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    ...corsHeaders
+  })
+  res.write(': connected\n\n')
+
+  const ids = searchParams.get('matchIds')
+  const stream = { res, matchIds: ids ? ids.split(',').map(Number) : null }
+  streams.add(stream)
+  req.on('close', () => streams.delete(stream))
+}
+
+const server = http.createServer((req, res) => {
+  if (req.method === 'OPTIONS') {
+    send(res, 204)
+    return
+  }
+
+  const { pathname, searchParams } = new URL(req.url, `http://localhost:${PORT}`)
+  if (req.method === 'GET' && pathname === '/api/realtime/matches') {
+    openStream(req, res, searchParams)
+    return
+  }
+
+  for (const [pattern, handler] of routes) {
+    const found = pathname.match(pattern)
+    if (req.method === 'GET' && found) {
+      const body = handler(found.slice(1))
+      if (body === undefined) {
+        send(res, 404, { message: 'Match not found' })
+      } else {
+        send(res, 200, body)
+      }
+      return
+    }
+  }
+  send(res, 404, { message: `No mock for ${req.method} ${pathname}` })
+})
+
+server.listen(PORT, () => {
+  console.log(`Mock live match API on http://localhost:${PORT} (tick every ${TICK_MS}ms)`)
+})
@@ -0,0 +1,157 @@
+/**
+ * Typed errors raised by the shared HTTP layer (see httpClient.js)
+ * Views can branch on `instanceof` instead of matching on message strings.
+ */
+
+/**
+ * Base class for every error coming back from the API
+ */
+export class ApiError extends Error {
+  /**
+   * @param {string} message - Human readable message
+   * @param {Object} [details] - Error details
+   * @param {number|null} [details.status] - HTTP status code (null when no response was received)
+   * @param {*} [details.body] - Parsed response body (JSON object or raw text)
+   * @param {Error} [details.cause] - Underlying error, if any
+   */
+  constructor(message, { status = null, body = null, cause } = {}) {
+    super(message)
+    this.name = 'ApiError'
+    this.status = status
+    this.body = body
+    if (cause) {
+      this.cause = cause
+    }
+  }
+}
+
+/**
+ * 400 / 422 - The request payload was rejected
+ * `fieldErrors` maps field names to messages when the backend provides them.
+ */
+export class ValidationError extends ApiError {
+  constructor(message, details = {}) {
+    super(message, details)
+    this.name = 'ValidationError'
+    this.fieldErrors = extractFieldErrors(details.body)
+  }
+}
+
+/**
+ * 401 - Missing, invalid or expired token
+ */
+export class UnauthorizedError extends ApiError {
+  constructor(message, details = {}) {
+    super(message, details)
+    this.name = 'UnauthorizedError'
+  }
+}
+
+/**
+ * 403 - Authenticated but not allowed to perform the action
+ */
+export class ForbiddenError extends ApiError {
+  constructor(message, details = {}) {
+    super(message, details)
+    this.name = 'ForbiddenError'
+  }
+}
+
+/**
+ * 404 - Resource does not exist
+ */
+export class NotFoundError extends ApiError {
+  constructor(message, details = {}) {
+    super(message, details)
+    this.name = 'NotFoundError'
+  }
+}
+
+/**
+ * The request never got a response (offline, DNS, CORS, server down)
+ */
+export class NetworkError extends ApiError {
+  constructor(message = 'Unable to reach the server. Please check your connection.', details = {}) {
+    super(message, details)
+    this.name = 'NetworkError'
+  }
+}
+
+/**
+ * The request took longer than the configured timeout
+ */
+export class TimeoutError extends ApiError {
+  constructor(message = 'The request timed out. Please try again.', details = {}) {
+    super(message, details)
+    this.name = 'TimeoutError'
+  }
+}
+
+/**
+ * Pull field-level messages out of a validation error body
+ * Supports `{ errors: { field: msg } }`, `{ errors: [{ field, message }] }`
+ * and `{ fieldErrors: ... }` shapes.
+ * @param {*} body - Parsed response body
+ * @returns {Object<string, string>} Map of field name to message
+ */
+const extractFieldErrors = (body) => {
+  if (!body || typeof body !== 'object') return {}
+
+  const source = body.fieldErrors || body.errors
+  if (!source) return {}
+
+  if (Array.isArray(source)) {
+    return source.reduce((acc, item) => {
+      const field = item.field || item.property || item.name
+      if (field) {
+        acc[field] = item.message || item.defaultMessage || 'Invalid value'
+      }
+      return acc
+    }, {})
+  }
+
+  return typeof source === 'object' ? { ...source } : {}
+}
+
+/**
+ * Build the typed error matching an HTTP status
+ * @param {number} status - HTTP status code
+ * @param {string} statusText - HTTP status text
+ * @param {*} body - Parsed response body (JSON object or raw text)
+ * @returns {ApiError} Typed error instance
+ */
+export const createApiError = (status, statusText, body) => {
+  let message = `API Error: ${status} ${statusText}`.trim()
+  if (body && typeof body === 'object') {
+    message = body.message || body.error || message
+  } else if (typeof body === 'string' && body) {
+    message = body
+  }
+
+  const details = { status, body }
+
+  switch (status) {
+    case 400:
+    case 422:
+      return new ValidationError(message, details)
+    case 401:
+      return new UnauthorizedError(message, details)
+    case 403:
+      return new ForbiddenError(message, details)
+    case 404:
+      return new NotFoundError(message, details)
+    default:
+      return new ApiError(message, details)
+  }
+}
+
+export default {
+  ApiError,
+  ValidationError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  NetworkError,
+  TimeoutError,
+  createApiError
+}
@@ -1,81 +1,50 @@
 import { ref } from 'vue'
 import User from '../models/User.js'
+import { request } from './httpClient.js'
+import { useLoadingState } from '../composables/useLoadingState.js'
+import { UnauthorizedError } from './apiErrors.js'
+import {
+  USER_KEY,
+  storeToken,
+  getToken,
+  removeToken,
+  getStoredItem,
+  setStoredItem,
+  removeStoredItem,
+  setRememberMe,
+  isRemembered,
+  setTokenStorage,
+  createMemoryStorage
+} from './tokenStorage.js'
+import { getTokenClaims, isTokenExpired } from './jwt.js'
 
-// API base URL
-const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || 'http://localhost:8080'
-
-// Token storage keys
-const TOKEN_KEY = 'matchlog_auth_token'
-const USER_KEY = 'matchlog_user_data'
-
-/**
- * Handle API responses
- * @param {Response} response - Fetch response
- * @returns {Promise<Object>} Parsed JSON response
- */
-const handleResponse = async (response) => {
-  if (!response.ok) {
-    const errorText = await response.text()
-    let errorMessage = `API Error: ${response.status} ${response.statusText}`
-    
-    try {
-      const errorJson = JSON.parse(errorText)
-      errorMessage = errorJson.message || errorMessage
-    } catch {
-      errorMessage = errorText || errorMessage
-    }
-    
-    throw new Error(errorMessage)
-  }
-  return response.json()
-}
-
-/**
- * Get authorization headers with token
- * @returns {Object} Headers object
- */
-const getAuthHeaders = () => {
-  const token = localStorage.getItem(TOKEN_KEY)
-  const headers = {
-    'Content-Type': 'application/json'
-  }
-  
-  if (token) {
-    headers['Authorization'] = `Bearer ${token}`
-  }
-  
-  return headers
+// Token storage strategy: session vs persistent backends, swappable for tests
+export {
+  storeToken,
+  getToken,
+  removeToken,
+  setRememberMe,
+  isRemembered,
+  setTokenStorage,
+  createMemoryStorage
 }
 
-/**
- * Store authentication token
- * @param {string} token - JWT token
- */
-export const storeToken = (token) => {
-  localStorage.setItem(TOKEN_KEY, token)
-}
+// How long before expiry the session is re-verified with the backend (ms)
+const SESSION_CHECK_LEAD = 60 * 1000
 
-/**
- * Get stored authentication token
- * @returns {string|null} Token or null
- */
-export const getToken = () => {
-  return localStorage.getItem(TOKEN_KEY)
-}
+// setTimeout overflows above ~24.8 days; longer waits are re-scheduled
+const MAX_TIMER_DELAY = 2147483647
 
-/**
- * Remove authentication token
- */
-export const removeToken = () => {
-  localStorage.removeItem(TOKEN_KEY)
-}
+// Session timer state (see watchSession)
+let sessionHandlers = {}
+let sessionTimers = []
 
 /**
  * Store user data
  * @param {User} user - User instance
  */
 export const storeUser = (user) => {
-  localStorage.setItem(USER_KEY, JSON.stringify(user.toJSON()))
+  setStoredItem(USER_KEY, JSON.stringify(user.toJSON()))
 }
 
 /**
@@ -83,7 +52,7 @@ export const storeUser = (user) => {
  * @returns {User|null} User instance or null
  */
 export const getStoredUser = () => {
-  const userData = localStorage.getItem(USER_KEY)
+  const userData = getStoredItem(USER_KEY)
   if (userData) {
     try {
       const parsedData = JSON.parse(userData)
@@ -100,7 +69,7 @@ export const getStoredUser = () => {
  * Remove stored user data
  */
 export const removeUser = () => {
-  localStorage.removeItem(USER_KEY)
+  removeStoredItem(USER_KEY)
 }
 
 /**
@@ -118,21 +87,17 @@ export const removeUser = () => {
  */
 export const register = async (registrationData) => {
   try {
-    const response = await fetch(`${API_BASE_URL}/api/auth/register`, {
+    const data = await request('/api/auth/register', {
       method: 'POST',
-      headers: {
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({
+      auth: false,
+      body: {
         username: registrationData.username,
         email: registrationData.email,
         password: registrationData.password,
         roles: registrationData.roles || ['USER']
-      })
+      }
     })
     
-    const data = await handleResponse(response)
-    
     // Parse user (registration doesn't return token according to API)
     const user = User.fromJSON(data)
     
@@ -152,28 +117,27 @@ export const register = async (registrationData) => {
  * @param {Object} credentials - Login credentials
  * @param {string} credentials.username - Username
  * @param {string} credentials.password - Password
+ * @param {boolean} [credentials.rememberMe=false] - Keep the session after the browser is closed
  * @returns {Promise<{token: string}>} JWT token
  */
 export const login = async (credentials) => {
   try {
-    const response = await fetch(`${API_BASE_URL}/api/auth/login`, {
+    const data = await request('/api/auth/login', {
       method: 'POST',
-      headers: {
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({
+      auth: false,
+      body: {
         username: credentials.username,
         password: credentials.password
-      })
+      }
     })
     
-    const data = await handleResponse(response)
-    
     // Store token
     const token = data.token
     
     if (token) {
+      setRememberMe(!!credentials.rememberMe)
       storeToken(token)
+      scheduleSessionTimers()
     }
     
     return { token }
@@ -187,6 +151,7 @@ export const login = async (credentials) => {
  * Logout user
  */
 export const logout = () => {
+  clearSessionTimers()
   removeToken()
   removeUser()
 }
@@ -201,12 +166,7 @@ export const logout = () => {
  */
 export const getCurrentUser = async () => {
   try {
-    const response = await fetch(`${API_BASE_URL}/api/auth/me`, {
-      method: 'GET',
-      headers: getAuthHeaders()
-    })
-    
-    const data = await handleResponse(response)
+    const data = await request('/api/auth/me')
     const user = User.fromJSON(data)
     
     // Update stored user data
@@ -219,17 +179,105 @@ export const getCurrentUser = async () => {
   }
 }
 
+/**
+ * Get the claims of the stored token
+ * @returns {import('./jwt.js').TokenClaims|null} Claims or null when logged out / malformed
+ */
+export const getCurrentClaims = () => {
+  const token = getToken()
+  return token ? getTokenClaims(token) : null
+}
+
 /**
  * Check if user is authenticated
- * @returns {boolean} True if token exists
+ * @returns {boolean} True if a token exists and has not expired
  */
 export const isAuthenticated = () => {
-  return !!getToken()
+  const token = getToken()
+  return !!token && !isTokenExpired(token)
+}
+
+/**
+ * Check if a token is stored but can no longer be used
+ * @returns {boolean} True if the stored token is expired or malformed
+ */
+export const hasExpiredToken = () => {
+  const token = getToken()
+  return !!token && isTokenExpired(token)
+}
+
+/**
+ * Cancel any pending session timers
+ */
+const clearSessionTimers = () => {
+  sessionTimers.forEach(timer => clearTimeout(timer))
+  sessionTimers = []
+}
+
+/**
+ * Schedule a timer, splitting waits longer than setTimeout allows
+ * @param {number} delay - Delay in ms
+ * @param {Function} callback - Callback
+ */
+const addSessionTimer = (delay, callback) => {
+  if (delay > MAX_TIMER_DELAY) {
+    sessionTimers.push(setTimeout(scheduleSessionTimers, MAX_TIMER_DELAY))
+    return
+  }
+  sessionTimers.push(setTimeout(callback, Math.max(delay, 0)))
+}
+
+/**
+ * (Re)schedule the expiry timers for the stored token
+ */
+const scheduleSessionTimers = () => {
+  clearSessionTimers()
+
+  const expiresAt = getCurrentClaims()?.expiresAt
+  if (!expiresAt) return
+
+  const remaining = expiresAt.getTime() - Date.now()
+
+  if (sessionHandlers.onExpiring && remaining > SESSION_CHECK_LEAD) {
+    addSessionTimer(remaining - SESSION_CHECK_LEAD, () => sessionHandlers.onExpiring())
+  }
+  if (sessionHandlers.onExpired) {
+    addSessionTimer(remaining, () => sessionHandlers.onExpired())
+  }
+}
+
+/**
+ * Watch the stored token's expiry
+ * `onExpiring` runs shortly before the token expires (e.g. to re-verify or
+ * refresh it), `onExpired` runs once it has expired. Timers are rescheduled
+ * automatically on login and cancelled on logout.
+ *
+ * @param {Object} handlers - Session handlers
+ * @param {Function} [handlers.onExpiring] - Called SESSION_CHECK_LEAD ms before expiry
+ * @param {Function} [handlers.onExpired] - Called at expiry
+ * @returns {Function} Stop watching
+ */
+export const watchSession = (handlers) => {
+  sessionHandlers = handlers
+  scheduleSessionTimers()
+  return () => {
+    sessionHandlers = {}
+    clearSessionTimers()
+  }
+}
+
+/**
+ * Re-read the stored token and reschedule the session timers
+ * Call after the token was replaced outside of login().
+ */
+export const refreshSessionTimers = () => {
+  scheduleSessionTimers()
 }
 
 /**
  * Verify if token is valid by checking with backend
  * @returns {Promise<boolean>} True if token is valid
+ * @throws {import('./apiErrors.js').ApiError} For failures other than a rejected token
  */
 export const verifyToken = async () => {
   if (!isAuthenticated()) {
@@ -240,9 +288,12 @@ export const verifyToken = async () => {
     await getCurrentUser()
     return true
   } catch (error) {
-    // Token is invalid or expired
-    logout()
-    return false
+    // Only a rejected token logs the user out - a network blip should not
+    if (error instanceof UnauthorizedError) {
+      logout()
+      return false
+    }
+    throw error
   }
 }
 
@@ -253,13 +304,21 @@ export default {
   logout,
   getCurrentUser,
   isAuthenticated,
+  hasExpiredToken,
+  getCurrentClaims,
+  watchSession,
+  refreshSessionTimers,
   verifyToken,
   getToken,
   storeToken,
   removeToken,
   getStoredUser,
   storeUser,
-  removeUser
+  removeUser,
+  setRememberMe,
+  isRemembered,
+  setTokenStorage,
+  createMemoryStorage
 }
 
 /**
@@ -267,25 +326,10 @@ export default {
  * @returns {Object} Auth methods and reactive state
  */
 export const useAuth = () => {
-  const loading = ref(false)
-  const error = ref(null)
+  const { loading, error, executeWithLoading } = useLoadingState()
   const user = ref(getStoredUser())
   const isAuth = ref(isAuthenticated())
 
-  const executeWithLoading = async (apiCall) => {
-    loading.value = true
-    error.value = null
-    try {
-      const result = await apiCall()
-      return result
-    } catch (err) {
-      error.value = err.message || 'An error occurred'
-      throw err
-    } finally {
-      loading.value = false
-    }
-  }
-
   const handleLogin = async (credentials) => {
     const result = await executeWithLoading(() => login(credentials))
     // After login, fetch the user profile
@@ -319,7 +363,9 @@ export const useAuth = () => {
       return updatedUser
     } catch (err) {
       // Token invalid, logout
-      handleLogout()
+      if (err instanceof UnauthorizedError) {
+        handleLogout()
+      }
       return null
     }
   }
@@ -0,0 +1,174 @@
+import { createComment } from './matchClient.js'
+import { isAuthenticated, getStoredUser } from './authClient.js'
+import { NetworkError, UnauthorizedError } from './apiErrors.js'
+import { addToOutbox, getOutbox, removeFromOutbox } from '../store/offlineStore.js'
+import { onAuthChange } from '../store/authStore.js'
+
+// Listeners notified when a queued comment is sent or rejected
+const outboxListeners = new Set()
+
+// Web Lock held while flushing, so two tabs never send the same comment
+const OUTBOX_LOCK = 'matchlog-comment-outbox'
+
+let flushing = null
+
+/**
+ * Outbox event
+ * @typedef {Object} OutboxEvent
+ * @property {'sent'|'failed'} type - What happened to the item
+ * @property {Object} item - Outbox item (id, text, userId, eventId, parentId, queuedAt)
+ * @property {Object} [comment] - Comment created by the server (when sent)
+ * @property {Error} [error] - Rejection reason (when failed)
+ */
+
+/**
+ * Register a listener for outbox events
+ * @param {function(OutboxEvent): void} listener - Listener
+ * @returns {function(): void} Unsubscribe function
+ */
+export const onOutboxChange = (listener) => {
+  outboxListeners.add(listener)
+  return () => outboxListeners.delete(listener)
+}
+
+const notify = (event) => {
+  outboxListeners.forEach(listener => listener(event))
+}
+
+/**
+ * Queue a comment written while offline
+ * @param {Object} commentData - Comment data
+ * @param {string} commentData.text - Comment text
+ * @param {string} commentData.userId - Author's user ID (MongoDB ObjectId) - only sent while this user is logged in
+ * @param {number} commentData.eventId - Match ID (still called eventId for API compatibility)
+ * @param {string|null} [commentData.parentId] - ID of the comment being replied to
+ * @returns {Promise<number>} Outbox item ID
+ */
+export const queueComment = (commentData) => {
+  return addToOutbox({
+    text: commentData.text,
+    userId: commentData.userId,
+    eventId: commentData.eventId,
+    parentId: commentData.parentId || null
+  })
+}
+
+/**
+ * ID of the logged-in user, or null
+ * @returns {string|null} User ID
+ */
+const getCurrentUserId = () => (isAuthenticated() ? getStoredUser()?.id || null : null)
+
+/**
+ * Get the logged-in user's queued comments, optionally for one match
+ * Comments queued by someone who has since logged out stay in the outbox
+ * until that user logs in again.
+ * @param {number} [matchId] - Match ID
+ * @returns {Promise<Object[]>} Outbox items, oldest first
+ */
+export const getQueuedComments = async (matchId) => {
+  const userId = getCurrentUserId()
+  if (!userId) return []
+
+  try {
+    const items = (await getOutbox()).filter(item => String(item.userId) === String(userId))
+    return matchId === undefined
+      ? items
+      : items.filter(item => String(item.eventId) === String(matchId))
+  } catch (error) {
+    console.warn('Could not read the comment outbox:', error)
+    return []
+  }
+}
+
+/**
+ * Drop a queued comment without sending it
+ * @param {number} id - Outbox item ID
+ * @returns {Promise<void>}
+ */
+export const discardQueuedComment = (id) => {
+  return removeFromOutbox(id)
+}
+
+/**
+ * Run a flush while holding the outbox lock
+ * Tabs take turns; each one re-reads the outbox once it has the lock, so
+ * comments another tab already sent are not sent again. Browsers without
+ * Web Locks flush without it.
+ * @param {function(): Promise<void>} callback - Flush
+ * @returns {Promise<void>}
+ */
+const withOutboxLock = (callback) => {
+  if (typeof navigator === 'undefined' || !navigator.locks) return callback()
+  return navigator.locks.request(OUTBOX_LOCK, callback)
+}
+
+/**
+ * Send the logged-in user's queued comments in the order they were written
+ * Other users' comments are held, never sent with this user's token.
+ * Stops at the first network failure or expired session and keeps the rest
+ * queued. Comments the server rejects are dropped and reported as failed,
+ * and so are timed-out ones: the server may have saved them already, and
+ * sending them again could post them twice.
+ * @returns {Promise<void>}
+ */
+export const flushOutbox = () => {
+  if (flushing) return flushing
+  const userId = getCurrentUserId()
+  if (!userId) return Promise.resolve()
+
+  flushing = withOutboxLock(async () => {
+    const items = await getQueuedComments()
+    for (const item of items) {
+      // Someone else logged in meanwhile - hold the rest for their author
+      if (getCurrentUserId() !== userId) break
+      try {
+        const comment = await createComment({
+          text: item.text,
+          userId: item.userId,
+          eventId: item.eventId,
+          parentId: item.parentId
+        })
+        await removeFromOutbox(item.id)
+        notify({ type: 'sent', item, comment })
+      } catch (error) {
+        if (error instanceof NetworkError || error instanceof UnauthorizedError) {
+          break
+        }
+        await removeFromOutbox(item.id)
+        notify({ type: 'failed', item, error })
+      }
+    }
+  }).finally(() => {
+    flushing = null
+  })
+
+  return flushing
+}
+
+/**
+ * Send queued comments now and whenever the browser comes back online
+ * Call once at startup.
+ */
+export const startOutboxSync = () => {
+  if (typeof window === 'undefined') return
+
+  const flush = () => {
+    flushOutbox().catch(error => console.error('Failed to send queued comments:', error))
+  }
+  window.addEventListener('online', flush)
+  // The author of held comments may be the one logging in
+  onAuthChange(({ isAuthenticated: loggedIn }) => {
+    if (loggedIn) flush()
+  })
+  flush()
+}
+
+export default {
+  onOutboxChange,
+  queueComment,
+  getQueuedComments,
+  discardQueuedComment,
+  flushOutbox,
+  startOutboxSync
+}
@@ -0,0 +1,141 @@
+import { getMatchesByCompetitionCode, getMatchesByCompetitionAndMatchday } from './matchClient.js'
+
+/**
+ * Turn an API constant into a label ('GROUP_STAGE' -> 'Group Stage')
+ * @param {string} value - Stage or group constant
+ * @returns {string} Label
+ */
+export const formatStage = (value) => {
+  if (!value) return ''
+  return value
+    .toLowerCase()
+    .split('_')
+    .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+    .join(' ')
+}
+
+/**
+ * Label for a group ('GROUP_A' -> 'Group A')
+ * @param {string} group - Group constant
+ * @returns {string} Label
+ */
+export const formatGroup = (group) => formatStage(group)
+
+const byKickoff = (a, b) => (a.utcDate?.getTime() ?? Infinity) - (b.utcDate?.getTime() ?? Infinity)
+
+/**
+ * Pick the latest season among the matches
+ * @param {Object[]} matches - Matches of one competition
+ * @returns {Object|null} Season
+ */
+const pickCurrentSeason = (matches) => {
+  const seasons = matches
+    .map(match => match.season)
+    .filter(Boolean)
+    .sort((a, b) => (b.startDate?.getTime() || 0) - (a.startDate?.getTime() || 0))
+  return seasons[0] || null
+}
+
+/**
+ * Competition overview
+ * @typedef {Object} CompetitionOverview
+ * @property {Object|null} competition - Competition (id, name, code, type, emblem)
+ * @property {Object|null} area - Area
+ * @property {Object|null} season - Current season (startDate, endDate, currentMatchday, winner)
+ * @property {number[]} matchdays - Matchdays with fixtures, ascending
+ * @property {string[]} groups - Groups with fixtures, sorted
+ * @property {string[]} stages - Stages in the order they are played
+ * @property {boolean} hasGroups - True for tournaments with groups (`group` and `stage` set)
+ * @property {Object[]} matches - Matches of the current season by kick-off time
+ */
+
+/**
+ * Get a competition's overview from its matches
+ * There is no competition endpoint, so everything is read off the
+ * competition's match list.
+ * @param {string} code - Competition code (e.g., 'PL', 'CL')
+ * @param {RequestOptions} [options] - Request options (signal, timeout, cache)
+ * @returns {Promise<CompetitionOverview>} Overview
+ */
+export const getCompetitionOverview = async (code, options = {}) => {
+  const allMatches = await getMatchesByCompetitionCode(code, options)
+  const season = pickCurrentSeason(allMatches)
+  const matches = allMatches
+    .filter(match => !season?.id || match.season?.id === season.id)
+    .sort(byKickoff)
+
+  const first = matches[0] || allMatches[0]
+  const unique = (values) => Array.from(new Set(values.filter(value => value !== null && value !== undefined)))
+
+  return {
+    competition: first?.competition || null,
+    area: first?.area || null,
+    season,
+    matchdays: unique(matches.map(match => match.matchday)).sort((a, b) => a - b),
+    groups: unique(matches.map(match => match.group)).sort(),
+    stages: unique(matches.map(match => match.stage)),
+    hasGroups: matches.some(match => match.group && match.stage),
+    matches
+  }
+}
+
+/**
+ * Matchday to show first: the season's current matchday, or the first
+ * matchday with fixtures still to play
+ * @param {CompetitionOverview} overview - Competition overview
+ * @returns {number|null} Matchday
+ */
+export const getDefaultMatchday = (overview) => {
+  const current = overview.season?.currentMatchday
+  if (current && overview.matchdays.includes(current)) return current
+
+  const upcoming = overview.matches.find(match => ['SCHEDULED', 'TIMED'].includes(match.status) && match.matchday)
+  if (upcoming) return upcoming.matchday
+
+  return overview.matchdays[overview.matchdays.length - 1] ?? null
+}
+
+/**
+ * Get one matchday's fixtures and results
+ * The endpoint returns that matchday of every season, so only the given
+ * season's matches are kept.
+ * @param {Object} competition - Competition (needs `id`)
+ * @param {number} matchday - Matchday number
+ * @param {Object|null} season - Season to show (the overview's `season`)
+ * @param {RequestOptions} [options] - Request options (signal, timeout, cache)
+ * @returns {Promise<Object[]>} Matches by kick-off time
+ */
+export const getMatchdayMatches = async (competition, matchday, season, options = {}) => {
+  const matches = await getMatchesByCompetitionAndMatchday(competition.id, matchday, options)
+  return matches
+    .filter(match => !season?.id || match.season?.id === season.id)
+    .sort(byKickoff)
+}
+
+/**
+ * Split matches into their groups
+ * @param {Object[]} matches - Matches
+ * @returns {Object[]} Groups { group, label, matches }, sorted by group
+ */
+export const groupByGroup = (matches) => {
+  const groups = new Map()
+  matches
+    .filter(match => match.group)
+    .forEach((match) => {
+      if (!groups.has(match.group)) groups.set(match.group, [])
+      groups.get(match.group).push(match)
+    })
+
+  return Array.from(groups.keys())
+    .sort()
+    .map(group => ({ group, label: formatGroup(group), matches: groups.get(group).sort(byKickoff) }))
+}
+
+export default {
+  formatStage,
+  formatGroup,
+  getCompetitionOverview,
+  getDefaultMatchday,
+  getMatchdayMatches,
+  groupByGroup
+}
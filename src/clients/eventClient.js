@@ -1,8 +1,9 @@
-import { ref } from 'vue'
+import { request } from './httpClient.js'
+import { useLoadingState } from '../composables/useLoadingState.js'
 
-// API base URL - adjust this to match your backend API
-// You can set this via environment variable VITE_API_BASE_URL
-const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || 'http://localhost:8080'
+/**
+ * @typedef {import('./httpClient.js').RequestOptions} RequestOptions
+ */
 
 /**
  * EventDTO structure from the API
@@ -76,33 +77,14 @@ const parseEventDTO = (data) => {
   }
 }
 
-/**
- * Handle API errors
- * @param {Response} response - Fetch response object
- * @returns {Promise} Response or throws error
- */
-const handleResponse = async (response) => {
-  if (!response.ok) {
-    const errorText = await response.text()
-    throw new Error(`API Error: ${response.status} ${response.statusText} - ${errorText}`)
-  }
-  return response.json()
-}
-
 /**
  * Get all events
+ * @param {RequestOptions} [options] - Request options (signal, timeout)
  * @returns {Promise<EventDTO[]>} List of events
  */
-export const getEvents = async () => {
+export const getEvents = async (options = {}) => {
   try {
-    const response = await fetch(`${API_BASE_URL}/api/events`, {
-      method: 'GET',
-      headers: {
-        'Content-Type': 'application/json'
-      }
-    })
-    
-    const data = await handleResponse(response)
+    const data = await request('/api/events', { ...options, auth: false })
     return Array.isArray(data) ? data.map(parseEventDTO) : []
   } catch (error) {
     console.error('Error fetching events:', error)
@@ -113,9 +95,10 @@ export const getEvents = async () => {
 /**
  * Get events by date
  * @param {string|Date} date - Date in format 'yyyy-MM-dd' or Date object
+ * @param {RequestOptions} [options] - Request options (signal, timeout)
  * @returns {Promise<EventDTO[]>} List of events for the specified date
  */
-export const getEventsByDate = async (date) => {
+export const getEventsByDate = async (date, options = {}) => {
   try {
     // Convert Date object to string if needed
     let dateString = date
@@ -126,14 +109,7 @@ export const getEventsByDate = async (date) => {
       dateString = `${year}-${month}-${day}`
     }
     
-    const response = await fetch(`${API_BASE_URL}/api/events/date/${dateString}`, {
-      method: 'GET',
-      headers: {
-        'Content-Type': 'application/json'
-      }
-    })
-    
-    const data = await handleResponse(response)
+    const data = await request(`/api/events/date/${dateString}`, { ...options, auth: false })
     return Array.isArray(data) ? data.map(parseEventDTO) : []
   } catch (error) {
     console.error('Error fetching events by date:', error)
@@ -144,18 +120,12 @@ export const getEventsByDate = async (date) => {
 /**
  * Get event by ID
  * @param {number} id - Event ID
+ * @param {RequestOptions} [options] - Request options (signal, timeout)
  * @returns {Promise<EventDTO>} Event DTO
  */
-export const getEventById = async (id) => {
+export const getEventById = async (id, options = {}) => {
   try {
-    const response = await fetch(`${API_BASE_URL}/api/events/id/${id}`, {
-      method: 'GET',
-      headers: {
-        'Content-Type': 'application/json'
-      }
-    })
-    
-    const data = await handleResponse(response)
+    const data = await request(`/api/events/id/${id}`, { ...options, auth: false })
     return parseEventDTO(data)
   } catch (error) {
     console.error('Error fetching event by ID:', error)
@@ -166,19 +136,13 @@ export const getEventById = async (id) => {
 /**
  * Get events by team name
  * @param {string} teamName - Team name
+ * @param {RequestOptions} [options] - Request options (signal, timeout)
  * @returns {Promise<EventDTO[]>} List of events for the specified team
  */
-export const getEventsByTeamName = async (teamName) => {
+export const getEventsByTeamName = async (teamName, options = {}) => {
   try {
     const encodedTeamName = encodeURIComponent(teamName)
-    const response = await fetch(`${API_BASE_URL}/api/events/team/${encodedTeamName}`, {
-      method: 'GET',
-      headers: {
-        'Content-Type': 'application/json'
-      }
-    })
-    
-    const data = await handleResponse(response)
+    const data = await request(`/api/events/team/${encodedTeamName}`, { ...options, auth: false })
     return Array.isArray(data) ? data.map(parseEventDTO) : []
   } catch (error) {
     console.error('Error fetching events by team name:', error)
@@ -190,9 +154,10 @@ export const getEventsByTeamName = async (teamName) => {
  * Get events by date range
  * @param {string|Date} startDate - Start date in format 'yyyy-MM-dd' or Date object
  * @param {string|Date} endDate - End date in format 'yyyy-MM-dd' or Date object
+ * @param {RequestOptions} [options] - Request options (signal, timeout)
  * @returns {Promise<EventDTO[]>} List of events within the specified date range
  */
-export const getEventsByDateRange = async (startDate, endDate) => {
+export const getEventsByDateRange = async (startDate, endDate, options = {}) => {
   try {
     // Convert Date objects to strings if needed
     const formatDate = (date) => {
@@ -208,14 +173,11 @@ export const getEventsByDateRange = async (startDate, endDate) => {
     const startDateString = formatDate(startDate)
     const endDateString = formatDate(endDate)
     
-    const response = await fetch(`${API_BASE_URL}/api/events/daterange?startDate=${startDateString}&endDate=${endDateString}`, {
-      method: 'GET',
-      headers: {
-        'Content-Type': 'application/json'
-      }
+    const data = await request('/api/events/daterange', {
+      ...options,
+      auth: false,
+      query: { startDate: startDateString, endDate: endDateString }
     })
-    
-    const data = await handleResponse(response)
     return Array.isArray(data) ? data.map(parseEventDTO) : []
   } catch (error) {
     console.error('Error fetching events by date range:', error)
@@ -227,21 +189,16 @@ export const getEventsByDateRange = async (startDate, endDate) => {
  * Search events by query string
  * @param {string} query - Search query string
  * @param {number} [limit=10] - Maximum number of results to return (default: 10)
+ * @param {RequestOptions} [options] - Request options (signal, timeout)
  * @returns {Promise<EventDTO[]>} List of matching events
  */
-export const searchEvents = async (query, limit = 10) => {
+export const searchEvents = async (query, limit = 10, options = {}) => {
   try {
-    const encodedQuery = encodeURIComponent(query)
-    const url = `${API_BASE_URL}/api/events/search?query=${encodedQuery}&limit=${limit}`
-    
-    const response = await fetch(url, {
-      method: 'GET',
-      headers: {
-        'Content-Type': 'application/json'
-      }
+    const data = await request('/api/events/search', {
+      ...options,
+      auth: false,
+      query: { query, limit }
     })
-    
-    const data = await handleResponse(response)
     return Array.isArray(data) ? data.map(parseEventDTO) : []
   } catch (error) {
     console.error('Error searching events:', error)
@@ -249,23 +206,6 @@ export const searchEvents = async (query, limit = 10) => {
   }
 }
 
-/**
- * Get authorization headers with token
- * @returns {Object} Headers object with Authorization if token exists
- */
-const getAuthHeaders = () => {
-  const token = localStorage.getItem('matchlog_auth_token')
-  const headers = {
-    'Content-Type': 'application/json'
-  }
-  
-  if (token) {
-    headers['Authorization'] = `Bearer ${token}`
-  }
-  
-  return headers
-}
-
 /**
  * Create a new comment for an event
  * Requires authentication - JWT token must be present
@@ -273,21 +213,20 @@ const getAuthHeaders = () => {
  * @param {string} commentData.text - Comment text
  * @param {number} commentData.userId - User ID
  * @param {number} commentData.eventId - Event ID
+ * @param {RequestOptions} [options] - Request options (signal, timeout)
  * @returns {Promise<Comment>} Created comment
  */
-export const createComment = async (commentData) => {
+export const createComment = async (commentData, options = {}) => {
   try {
-    const response = await fetch(`${API_BASE_URL}/api/comments`, {
+    const data = await request('/api/comments', {
+      ...options,
       method: 'POST',
-      headers: getAuthHeaders(),
-      body: JSON.stringify({
+      body: {
         text: commentData.text,
         userId: commentData.userId,
         eventId: commentData.eventId
-      })
+      }
     })
-    
-    const data = await handleResponse(response)
     return parseComment(data)
   } catch (error) {
     console.error('Error creating comment:', error)
@@ -316,33 +255,18 @@ export default {
  * const events = await getEvents()
  */
 export const useEventClient = () => {
-  const loading = ref(false)
-  const error = ref(null)
-
-  const executeWithLoading = async (apiCall) => {
-    loading.value = true
-    error.value = null
-    try {
-      const result = await apiCall()
-      return result
-    } catch (err) {
-      error.value = err.message || 'An error occurred'
-      throw err
-    } finally {
-      loading.value = false
-    }
-  }
+  const { loading, error, executeWithLoading } = useLoadingState()
 
   return {
     loading,
     error,
-    getEvents: () => executeWithLoading(getEvents),
-    getEventsByDate: (date) => executeWithLoading(() => getEventsByDate(date)),
-    getEventById: (id) => executeWithLoading(() => getEventById(id)),
-    getEventsByTeamName: (teamName) => executeWithLoading(() => getEventsByTeamName(teamName)),
-    getEventsByDateRange: (startDate, endDate) => executeWithLoading(() => getEventsByDateRange(startDate, endDate)),
-    searchEvents: (query, limit) => executeWithLoading(() => searchEvents(query, limit)),
-    createComment: (commentData) => executeWithLoading(() => createComment(commentData))
+    getEvents: (options) => executeWithLoading(() => getEvents(options)),
+    getEventsByDate: (date, options) => executeWithLoading(() => getEventsByDate(date, options)),
+    getEventById: (id, options) => executeWithLoading(() => getEventById(id, options)),
+    getEventsByTeamName: (teamName, options) => executeWithLoading(() => getEventsByTeamName(teamName, options)),
+    getEventsByDateRange: (startDate, endDate, options) => executeWithLoading(() => getEventsByDateRange(startDate, endDate, options)),
+    searchEvents: (query, limit, options) => executeWithLoading(() => searchEvents(query, limit, options)),
+    createComment: (commentData, options) => executeWithLoading(() => createComment(commentData, options))
   }
 }
 
@@ -0,0 +1,156 @@
+import { Competition, TeamInfo } from '../models/Match.js'
+import { request } from './httpClient.js'
+import { getMatchesByTeamId, getMatchesByCompetitionCode } from './matchClient.js'
+import { toDateKey } from './matchFilters.js'
+import { getTodayKey } from './matchCalendar.js'
+
+/**
+ * @typedef {import('./httpClient.js').RequestOptions} RequestOptions
+ */
+
+/**
+ * Favourite teams and competitions
+ * Only the fields needed to show them are kept, so favourites can be listed
+ * without fetching anything else.
+ * @typedef {Object} Favorites
+ * @property {TeamInfo[]} teams - Starred teams
+ * @property {Competition[]} competitions - Starred competitions
+ */
+
+// Statuses of matches still to be played or in play
+const OPEN_STATUSES = ['SCHEDULED', 'TIMED', 'IN_PLAY', 'PAUSED']
+
+/**
+ * Keep the fields of a team worth storing
+ * @param {Object} team - Team
+ * @returns {TeamInfo} Team summary
+ */
+export const toFavoriteTeam = (team) => new TeamInfo({
+  id: team.id,
+  name: team.name,
+  shortName: team.shortName,
+  tla: team.tla,
+  crest: team.crest
+})
+
+/**
+ * Keep the fields of a competition worth storing
+ * @param {Object} competition - Competition
+ * @returns {Competition} Competition summary
+ */
+export const toFavoriteCompetition = (competition) => new Competition({
+  id: competition.id,
+  name: competition.name,
+  code: competition.code,
+  type: competition.type,
+  emblem: competition.emblem
+})
+
+/**
+ * Normalize favourites from the API or local storage
+ * @param {Object} [data] - Raw favourites ({ teams, competitions })
+ * @returns {Favorites} Favourites
+ */
+export const parseFavorites = (data) => ({
+  teams: (Array.isArray(data?.teams) ? data.teams : []).filter(team => team?.id).map(toFavoriteTeam),
+  competitions: (Array.isArray(data?.competitions) ? data.competitions : [])
+    .filter(competition => competition?.code)
+    .map(toFavoriteCompetition)
+})
+
+/**
+ * Get a user's favourites
+ * API Endpoint: GET /api/users/{id}/favorites
+ * @param {string} userId - User ID (MongoDB ObjectId)
+ * @param {RequestOptions} [options] - Request options (signal, timeout)
+ * @returns {Promise<Favorites>} Favourites
+ */
+export const getFavorites = async (userId, options = {}) => {
+  try {
+    const data = await request(`/api/users/${userId}/favorites`, options)
+    return parseFavorites(data)
+  } catch (error) {
+    console.error('Error fetching favorites:', error)
+    throw error
+  }
+}
+
+/**
+ * Replace a user's favourites
+ * Requires authentication - users may only change their own favourites
+ * API Endpoint: PUT /api/users/{id}/favorites
+ * @param {string} userId - User ID (MongoDB ObjectId)
+ * @param {Favorites} favorites - Favourites
+ * @param {RequestOptions} [options] - Request options (signal, timeout)
+ * @returns {Promise<Favorites>} Saved favourites
+ */
+export const saveFavorites = async (userId, favorites, options = {}) => {
+  try {
+    const data = await request(`/api/users/${userId}/favorites`, {
+      ...options,
+      method: 'PUT',
+      body: {
+        teams: favorites.teams.map(team => toFavoriteTeam(team).toJSON()),
+        competitions: favorites.competitions.map(competition => toFavoriteCompetition(competition).toJSON())
+      }
+    })
+    return data ? parseFavorites(data) : parseFavorites(favorites)
+  } catch (error) {
+    console.error('Error saving favorites:', error)
+    throw error
+  }
+}
+
+/**
+ * Matches of favourite teams and competitions
+ * @typedef {Object} FavoriteMatches
+ * @property {Object[]} today - Today's matches (user's time zone), by kick-off time
+ * @property {Object[]} upcoming - Later fixtures, soonest first
+ */
+
+/**
+ * Get today's and upcoming matches of favourite teams and competitions
+ * Requests one list per favourite; a favourite whose request fails is
+ * skipped instead of failing the whole section.
+ * @param {Favorites} favorites - Favourites
+ * @param {Object} [params] - Parameters
+ * @param {number} [params.limit=12] - Maximum number of upcoming fixtures
+ * @param {RequestOptions} [options] - Request options (signal, timeout, cache)
+ * @returns {Promise<FavoriteMatches>} Matches
+ */
+export const getFavoriteMatches = async (favorites, { limit = 12 } = {}, options = {}) => {
+  const requests = [
+    ...favorites.teams.map(team => getMatchesByTeamId(team.id, options)),
+    ...favorites.competitions.map(competition => getMatchesByCompetitionCode(competition.code, options))
+  ]
+  const results = await Promise.allSettled(requests)
+  const failed = results.filter(result => result.status === 'rejected')
+  if (failed.length > 0 && failed.length === results.length) {
+    throw failed[0].reason
+  }
+
+  const matches = new Map()
+  results
+    .filter(result => result.status === 'fulfilled')
+    .flatMap(result => result.value)
+    .forEach(match => matches.set(match.id, match))
+
+  const todayKey = getTodayKey()
+  const open = Array.from(matches.values())
+    .filter(match => match.utcDate && OPEN_STATUSES.includes(match.status) && toDateKey(match.utcDate) >= todayKey)
+    .sort((a, b) => a.utcDate - b.utcDate)
+
+  return {
+    today: open.filter(match => toDateKey(match.utcDate) === todayKey),
+    upcoming: open.filter(match => toDateKey(match.utcDate) > todayKey).slice(0, limit)
+  }
+}
+
+export default {
+  toFavoriteTeam,
+  toFavoriteCompetition,
+  parseFavorites,
+  getFavorites,
+  saveFavorites,
+  getFavoriteMatches
+}
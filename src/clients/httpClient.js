@@ -0,0 +1,205 @@
+import { getToken } from './tokenStorage.js'
+import { createApiError, NetworkError, TimeoutError, UnauthorizedError } from './apiErrors.js'
+
+// API base URL - adjust this to match your backend API
+// You can set this via environment variable VITE_API_BASE_URL
+export const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || 'http://localhost:8080'
+
+// Default per-request timeout in milliseconds
+export const DEFAULT_TIMEOUT = 15000
+
+// Listeners notified when an authenticated request comes back 401
+const unauthorizedHandlers = new Set()
+
+/**
+ * Register a handler for rejected tokens
+ * Called once per 401 response to a request that carried a Bearer token,
+ * so bad credentials on the login form do not trigger it.
+ * @param {function(UnauthorizedError): void} handler - Handler receiving the error
+ * @returns {function(): void} Unsubscribe function
+ */
+export const onUnauthorized = (handler) => {
+  unauthorizedHandlers.add(handler)
+  return () => unauthorizedHandlers.delete(handler)
+}
+
+/**
+ * @typedef {Object} RequestOptions
+ * @property {string} [method='GET'] - HTTP method
+ * @property {Object} [body] - JSON body (serialized automatically)
+ * @property {Object} [query] - Query string parameters (null/undefined values are skipped)
+ * @property {Object} [headers] - Extra headers
+ * @property {boolean} [auth=true] - Attach the Bearer token when one is stored
+ * @property {number} [timeout] - Timeout in ms (0 disables it)
+ * @property {AbortSignal} [signal] - Caller-provided abort signal
+ */
+
+/**
+ * Get request headers, with Authorization if a token is stored
+ * @param {boolean} [auth=true] - Whether to attach the token
+ * @returns {Object} Headers object
+ */
+export const getAuthHeaders = (auth = true) => {
+  const headers = {
+    'Content-Type': 'application/json'
+  }
+
+  const token = auth ? getToken() : null
+  if (token) {
+    headers['Authorization'] = `Bearer ${token}`
+  }
+
+  return headers
+}
+
+/**
+ * Check whether a path is an absolute URL outside the API
+ * @param {string} path - API path or absolute URL
+ * @returns {boolean} True for URLs on another origin than API_BASE_URL
+ */
+export const isExternalUrl = (path) => {
+  if (!/^https?:\/\//i.test(path)) return false
+  try {
+    return new URL(path).origin !== new URL(API_BASE_URL, window.location.origin).origin
+  } catch {
+    return true
+  }
+}
+
+/**
+ * Build a full URL from a path and query parameters
+ * Absolute http(s) URLs (e.g. a third-party news feed) are used as they are.
+ * @param {string} path - API path (e.g. '/api/matches') or absolute URL
+ * @param {Object} [query] - Query parameters
+ * @returns {string} Absolute URL
+ */
+export const buildUrl = (path, query) => {
+  const url = /^https?:\/\//i.test(path) ? path : `${API_BASE_URL}${path}`
+  if (!query) return url
+
+  const params = new URLSearchParams()
+  Object.entries(query).forEach(([key, value]) => {
+    if (value !== undefined && value !== null && value !== '') {
+      params.append(key, value)
+    }
+  })
+
+  const queryString = params.toString()
+  return queryString ? `${url}?${queryString}` : url
+}
+
+/**
+ * Parse a response body as JSON, falling back to raw text
+ * @param {Response} response - Fetch response
+ * @returns {Promise<*>} Parsed body, or null when empty
+ */
+const parseBody = async (response) => {
+  const text = await response.text()
+  if (!text) return null
+
+  try {
+    return JSON.parse(text)
+  } catch {
+    return text
+  }
+}
+
+/**
+ * Perform an API request
+ * Resolves with the parsed JSON body, rejects with a typed ApiError subclass.
+ *
+ * @param {string} path - API path (e.g. '/api/matches/1')
+ * @param {RequestOptions} [options] - Request options
+ * @returns {Promise<*>} Parsed response body
+ * @throws {import('./apiErrors.js').ApiError}
+ */
+export const request = async (path, options = {}) => {
+  const {
+    method = 'GET',
+    body,
+    query,
+    headers = {},
+    auth = true,
+    timeout = DEFAULT_TIMEOUT,
+    signal
+  } = options
+
+  // Combine the caller's signal with our own timeout
+  const controller = new AbortController()
+  let timedOut = false
+  let timer = null
+
+  const forwardAbort = () => controller.abort(signal.reason)
+  if (signal) {
+    if (signal.aborted) {
+      controller.abort(signal.reason)
+    } else {
+      signal.addEventListener('abort', forwardAbort, { once: true })
+    }
+  }
+
+  if (timeout > 0) {
+    timer = setTimeout(() => {
+      timedOut = true
+      controller.abort()
+    }, timeout)
+  }
+
+  // Another origin (e.g. a news feed) never gets the token, and a plain GET
+  // without the JSON header stays a simple CORS request with no preflight
+  const requestHeaders = isExternalUrl(path)
+    ? { ...(body !== undefined ? { 'Content-Type': 'application/json' } : {}), ...headers }
+    : { ...getAuthHeaders(auth), ...headers }
+
+  let response
+  try {
+    response = await fetch(buildUrl(path, query), {
+      method,
+      headers: requestHeaders,
+      body: body !== undefined ? JSON.stringify(body) : undefined,
+      signal: controller.signal
+    })
+  } catch (err) {
+    if (timedOut) {
+      throw new TimeoutError(undefined, { cause: err })
+    }
+    if (signal?.aborted) {
+      // Caller cancelled the request - let the AbortError through untouched
+      throw err
+    }
+    throw new NetworkError(undefined, { cause: err })
+  } finally {
+    clearTimeout(timer)
+    signal?.removeEventListener('abort', forwardAbort)
+  }
+
+  const data = await parseBody(response)
+
+  if (!response.ok) {
+    const error = createApiError(response.status, response.statusText, data)
+    if (error instanceof UnauthorizedError && requestHeaders['Authorization']) {
+      unauthorizedHandlers.forEach(handler => handler(error))
+    }
+    throw error
+  }
+
+  return data
+}
+
+/**
+ * Check whether an error was caused by the caller aborting the request
+ * @param {Error} error - Error to check
+ * @returns {boolean} True for AbortError
+ */
+export const isAbortError = (error) => error?.name === 'AbortError'
+
+export default {
+  API_BASE_URL,
+  DEFAULT_TIMEOUT,
+  getAuthHeaders,
+  isExternalUrl,
+  buildUrl,
+  request,
+  isAbortError,
+  onUnauthorized
+}
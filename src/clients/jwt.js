@@ -0,0 +1,146 @@
+/**
+ * Minimal JWT helpers
+ * Only decodes the payload - the signature is verified by the backend.
+ */
+
+/**
+ * @typedef {Object} TokenClaims
+ * @property {string|null} subject - Token subject (`sub`)
+ * @property {string[]} roles - Roles from `roles` or `authorities`, without the `ROLE_` prefix
+ * @property {Date|null} issuedAt - Issue time (`iat`)
+ * @property {Date|null} expiresAt - Expiry time (`exp`)
+ * @property {Object} payload - Raw decoded payload
+ */
+
+/**
+ * Decode a base64url string to text
+ * @param {string} segment - base64url encoded segment
+ * @returns {string} Decoded UTF-8 text
+ */
+const decodeSegment = (segment) => {
+  const base64 = segment.replace(/-/g, '+').replace(/_/g, '/')
+  const padded = base64 + '='.repeat((4 - (base64.length % 4)) % 4)
+  const binary = atob(padded)
+  const bytes = Uint8Array.from(binary, char => char.charCodeAt(0))
+  return new TextDecoder().decode(bytes)
+}
+
+/**
+ * Encode bytes as a base64url string
+ * @param {Uint8Array} bytes - Bytes
+ * @returns {string} base64url encoded segment
+ */
+const encodeBytes = (bytes) => {
+  const binary = Array.from(bytes, byte => String.fromCharCode(byte)).join('')
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '')
+}
+
+/**
+ * Encode text as a base64url string
+ * @param {string} text - UTF-8 text
+ * @returns {string} base64url encoded segment
+ */
+const encodeSegment = (text) => encodeBytes(new TextEncoder().encode(text))
+
+/**
+ * Normalize the roles claim to a plain array of role names
+ * @param {*} value - `roles` or `authorities` claim
+ * @returns {string[]} Role names (e.g. ['USER', 'ADMIN'])
+ */
+const normalizeRoles = (value) => {
+  let roles = []
+  if (Array.isArray(value)) {
+    roles = value.map(role => (typeof role === 'object' ? role?.authority : role))
+  } else if (typeof value === 'string') {
+    roles = value.split(/[\s,]+/)
+  }
+  return roles
+    .filter(Boolean)
+    .map(role => role.replace(/^ROLE_/, ''))
+}
+
+/**
+ * Decode a JWT payload
+ * @param {string} token - JWT string
+ * @returns {Object|null} Payload object, or null if the token is malformed
+ */
+export const decodeToken = (token) => {
+  if (typeof token !== 'string') return null
+
+  const parts = token.split('.')
+  if (parts.length !== 3) return null
+
+  try {
+    const payload = JSON.parse(decodeSegment(parts[1]))
+    return payload && typeof payload === 'object' ? payload : null
+  } catch {
+    return null
+  }
+}
+
+/**
+ * Read the claims the app cares about from a JWT
+ * @param {string} token - JWT string
+ * @returns {TokenClaims|null} Claims, or null if the token is malformed
+ */
+export const getTokenClaims = (token) => {
+  const payload = decodeToken(token)
+  if (!payload) return null
+
+  return {
+    subject: payload.sub ?? null,
+    roles: normalizeRoles(payload.roles ?? payload.authorities),
+    issuedAt: typeof payload.iat === 'number' ? new Date(payload.iat * 1000) : null,
+    expiresAt: typeof payload.exp === 'number' ? new Date(payload.exp * 1000) : null,
+    payload
+  }
+}
+
+/**
+ * Check whether a JWT is expired (or malformed)
+ * Tokens without an `exp` claim are treated as non-expiring.
+ * @param {string} token - JWT string
+ * @param {number} [now=Date.now()] - Current time in ms
+ * @param {number} [skewMs=0] - Treat the token as expired this many ms early
+ * @returns {boolean} True if the token cannot be used anymore
+ */
+export const isTokenExpired = (token, now = Date.now(), skewMs = 0) => {
+  const claims = getTokenClaims(token)
+  if (!claims) return true
+  if (!claims.expiresAt) return false
+  return claims.expiresAt.getTime() - skewMs <= now
+}
+
+// Key for tokens signed locally by createFakeToken - never accepted by the real backend
+export const DEV_TOKEN_SECRET = 'matchlog-dev-secret'
+
+/**
+ * Sign a JWT locally with HMAC-SHA256 (HS256) for testing
+ * The token is a real, verifiable JWT for `secret` (a mock backend can check
+ * it), but the real backend rejects it since it does not know the key.
+ * @param {Object} payload - Payload claims
+ * @param {string} [secret=DEV_TOKEN_SECRET] - Signing key
+ * @returns {Promise<string>} Token string
+ */
+export const createFakeToken = async (payload, secret = DEV_TOKEN_SECRET) => {
+  const header = encodeSegment(JSON.stringify({ alg: 'HS256', typ: 'JWT' }))
+  const body = encodeSegment(JSON.stringify(payload))
+  const encoder = new TextEncoder()
+  const key = await crypto.subtle.importKey(
+    'raw',
+    encoder.encode(secret),
+    { name: 'HMAC', hash: 'SHA-256' },
+    false,
+    ['sign']
+  )
+  const signature = await crypto.subtle.sign('HMAC', key, encoder.encode(`${header}.${body}`))
+  return `${header}.${body}.${encodeBytes(new Uint8Array(signature))}`
+}
+
+export default {
+  decodeToken,
+  getTokenClaims,
+  isTokenExpired,
+  DEV_TOKEN_SECRET,
+  createFakeToken
+}
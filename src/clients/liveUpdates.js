@@ -0,0 +1,314 @@
+import { getMatchesByStatus, getMatchById } from './matchClient.js'
+import { isAbortError } from './httpClient.js'
+import { subscribeToMatches } from './realtimeClient.js'
+
+// Poll intervals - override in .env to test against a local mock server
+export const LIVE_POLL_INTERVAL = Number(import.meta.env.VITE_LIVE_POLL_INTERVAL) || 15000
+export const IDLE_POLL_INTERVAL = Number(import.meta.env.VITE_IDLE_POLL_INTERVAL) || 120000
+
+const LIVE_STATUSES = ['IN_PLAY', 'PAUSED']
+const FINAL_STATUSES = ['FINISHED', 'AWARDED', 'CANCELLED']
+
+/**
+ * Check if a match is in play or at half time
+ * @param {Object} match - Match
+ * @returns {boolean} True if the match is live
+ */
+export const isLiveMatch = (match) => LIVE_STATUSES.includes(match?.status?.toUpperCase())
+
+/**
+ * Check if a match can no longer change
+ * @param {Object} match - Match
+ * @returns {boolean} True if the match is over
+ */
+export const isFinalMatch = (match) => FINAL_STATUSES.includes(match?.status?.toUpperCase())
+
+/**
+ * Check if a match is live or past its kick-off time without having started
+ * @param {Object} match - Match
+ * @param {number} [now=Date.now()] - Current time in milliseconds
+ * @returns {boolean} True if the match should be polled quickly
+ */
+const needsFastPolling = (match, now = Date.now()) => {
+  if (isLiveMatch(match)) return true
+  if (isFinalMatch(match) || !match?.utcDate) return false
+  return new Date(match.utcDate).getTime() <= now
+}
+
+/**
+ * Patch score and status of a match in place
+ * Only the live fields are copied so the reactive object, its comments and
+ * anything the view attached to it stay intact.
+ * @param {Object} target - Match currently shown
+ * @param {Object} update - Fresh match from the API
+ * @returns {{goal: boolean, statusChanged: boolean}} What changed
+ */
+export const applyMatchUpdate = (target, update) => {
+  if (!target || !update) return { goal: false, statusChanged: false }
+
+  const before = target.score?.fullTime || {}
+  const after = update.score?.fullTime || {}
+  const goal = (after.home ?? 0) > (before.home ?? 0) || (after.away ?? 0) > (before.away ?? 0)
+  const statusChanged = !!update.status && update.status !== target.status
+
+  if (update.score) target.score = update.score
+  if (update.status) target.status = update.status
+  if (update.lastUpdated) target.lastUpdated = update.lastUpdated
+  // A fresh copy from the API replaces an offline one
+  if (update.savedAt !== undefined) target.savedAt = update.savedAt
+
+  return { goal, statusChanged }
+}
+
+/**
+ * Create a poller that runs a task on an adaptive interval
+ * The next delay is asked for after every run, so callers can poll fast while
+ * something is live and slow otherwise. Polling pauses while the tab is hidden
+ * and runs straight away when it becomes visible again.
+ * @param {function(AbortSignal): Promise<*>} task - Work to run on each tick
+ * @param {Object} [config] - Poller configuration
+ * @param {function(): (number|null)} [config.getInterval] - Delay before the next run, null to stop
+ * @param {Document} [config.visibilityTarget=document] - Source of visibility changes
+ * @returns {{start: function(): void, stop: function(): void, refresh: function(): Promise<void>}} Poller controls
+ */
+export const createPoller = (task, config = {}) => {
+  const {
+    getInterval = () => LIVE_POLL_INTERVAL,
+    visibilityTarget = typeof document !== 'undefined' ? document : null
+  } = config
+
+  let timer = null
+  let controller = null
+  let running = false
+
+  const isHidden = () => !!visibilityTarget?.hidden
+
+  const schedule = () => {
+    clearTimeout(timer)
+    timer = null
+    if (!running || isHidden()) return
+
+    const delay = getInterval()
+    if (delay === null || delay === undefined) return
+    timer = setTimeout(tick, delay)
+  }
+
+  const tick = async () => {
+    if (!running || isHidden()) return
+
+    controller?.abort()
+    controller = new AbortController()
+    try {
+      await task(controller.signal)
+    } catch (err) {
+      if (!isAbortError(err)) {
+        console.error('Live update failed:', err)
+      }
+    }
+    schedule()
+  }
+
+  const handleVisibilityChange = () => {
+    if (isHidden()) {
+      clearTimeout(timer)
+      timer = null
+      controller?.abort()
+    } else {
+      tick()
+    }
+  }
+
+  return {
+    start() {
+      if (running) return
+      running = true
+      visibilityTarget?.addEventListener('visibilitychange', handleVisibilityChange)
+      schedule()
+    },
+    stop() {
+      running = false
+      clearTimeout(timer)
+      timer = null
+      controller?.abort()
+      visibilityTarget?.removeEventListener('visibilitychange', handleVisibilityChange)
+    },
+    refresh: tick
+  }
+}
+
+/**
+ * Add a comment to a match's embedded comments unless it is already there
+ * @param {Object} match - Match
+ * @param {Object} comment - New comment
+ */
+const appendComment = (match, comment) => {
+  if (!Array.isArray(match.comments)) return
+  if (!match.comments.some(existing => existing.id === comment.id)) {
+    match.comments.push(comment)
+  }
+}
+
+/**
+ * Run a poller alongside a realtime subscription
+ * The poller only keeps going while the realtime connection is not open, so
+ * polling covers the gaps when the transport is off, down or reconnecting.
+ * Every connect and disconnect triggers one poll to catch up on missed changes.
+ * @param {function(Object): Object} createTaskPoller - Creates the poller, given the shared realtime state
+ * @param {function(function(string): void): function(): void} subscribe - Opens the subscription, returns unsubscribe
+ * @returns {{start: function(): void, stop: function(): void, refresh: function(): Promise<void>}} Controls
+ */
+const withRealtime = (createTaskPoller, subscribe) => {
+  const realtime = { open: false }
+  const poller = createTaskPoller(realtime)
+  let unsubscribe = null
+
+  return {
+    start() {
+      if (unsubscribe) return
+      poller.start()
+      unsubscribe = subscribe((state) => {
+        const wasOpen = realtime.open
+        realtime.open = state === 'open'
+        if (wasOpen !== realtime.open) {
+          poller.refresh()
+        }
+      })
+    },
+    stop() {
+      // Stop the poller first so the 'closed' state does not trigger a poll
+      poller.stop()
+      unsubscribe?.()
+      unsubscribe = null
+      realtime.open = false
+    },
+    refresh: poller.refresh
+  }
+}
+
+/**
+ * Keep a list of matches up to date
+ * Listens on the realtime transport when one is configured, and otherwise
+ * polls GET /api/matches/status/IN_PLAY, patching the listed matches in
+ * place. Matches that were live but dropped out of that list (half time or
+ * full time) are fetched by ID to pick up their new status.
+ * @param {function(): Object[]} getMatches - Returns the matches currently shown
+ * @param {Object} [callbacks] - Change callbacks
+ * @param {function(Object): void} [callbacks.onGoal] - Called with a match whose score went up
+ * @param {function(Object): void} [callbacks.onStatusChange] - Called with a match whose status changed
+ * @param {function(Object, Object): void} [callbacks.onComment] - Called with a match and a new comment (default: appended to match.comments)
+ * @returns {{start: function(): void, stop: function(): void, refresh: function(): Promise<void>}} Controls
+ */
+export const watchLiveMatches = (getMatches, callbacks = {}) => {
+  const { onGoal, onStatusChange, onComment = appendComment } = callbacks
+
+  const notify = (match, { goal, statusChanged }) => {
+    if (goal) onGoal?.(match)
+    if (statusChanged) onStatusChange?.(match)
+  }
+
+  const findShown = (matchId) => getMatches().find(match => match.id === matchId)
+
+  const update = async (signal) => {
+    const shown = getMatches()
+    if (shown.length === 0) return
+
+    const inPlay = await getMatchesByStatus('IN_PLAY', { signal, cache: 'reload' })
+    const inPlayById = new Map(inPlay.map(match => [match.id, match]))
+
+    const stale = []
+    shown.forEach(match => {
+      const fresh = inPlayById.get(match.id)
+      if (fresh) {
+        notify(match, applyMatchUpdate(match, fresh))
+      } else if (isLiveMatch(match)) {
+        stale.push(match)
+      }
+    })
+
+    await Promise.all(stale.map(async (match) => {
+      const fresh = await getMatchById(match.id, { signal, cache: 'reload' })
+      notify(match, applyMatchUpdate(match, fresh))
+    }))
+  }
+
+  const createTaskPoller = (realtime) => createPoller(update, {
+    getInterval: () => {
+      if (realtime.open) return null
+      const now = Date.now()
+      return getMatches().some(match => needsFastPolling(match, now))
+        ? LIVE_POLL_INTERVAL
+        : IDLE_POLL_INTERVAL
+    }
+  })
+
+  // Follow every match - the list changes with search, unknown IDs are ignored
+  return withRealtime(createTaskPoller, (onConnectionChange) => subscribeToMatches({
+    onMatchUpdate: ({ matchId, match: changes }) => {
+      const match = findShown(matchId)
+      if (match) notify(match, applyMatchUpdate(match, changes))
+    },
+    onComment: ({ matchId, comment }) => {
+      const match = findShown(matchId)
+      if (match) onComment(match, comment)
+    },
+    onConnectionChange
+  }))
+}
+
+/**
+ * Keep a single match up to date
+ * Listens on the realtime transport when one is configured, and otherwise
+ * polls GET /api/matches/{id}, patching the match in place. Polling stops
+ * once the match is over; new comments keep arriving over realtime.
+ * @param {function(): (Object|null)} getMatch - Returns the match currently shown
+ * @param {Object} [callbacks] - Change callbacks (onGoal, onStatusChange, onComment)
+ * @returns {{start: function(): void, stop: function(): void, refresh: function(): Promise<void>}} Controls
+ */
+export const watchMatch = (getMatch, callbacks = {}) => {
+  const { onGoal, onStatusChange, onComment = appendComment } = callbacks
+
+  const update = async (signal) => {
+    const match = getMatch()
+    if (!match) return
+
+    const fresh = await getMatchById(match.id, { signal, cache: 'reload' })
+    const { goal, statusChanged } = applyMatchUpdate(match, fresh)
+    if (goal) onGoal?.(match)
+    if (statusChanged) onStatusChange?.(match)
+  }
+
+  const createTaskPoller = (realtime) => createPoller(update, {
+    getInterval: () => {
+      const match = getMatch()
+      if (realtime.open || !match || isFinalMatch(match)) return null
+      return needsFastPolling(match) ? LIVE_POLL_INTERVAL : IDLE_POLL_INTERVAL
+    }
+  })
+
+  return withRealtime(createTaskPoller, (onConnectionChange) => subscribeToMatches({
+    matchIds: getMatch() ? [getMatch().id] : undefined,
+    onMatchUpdate: ({ matchId, match: changes }) => {
+      const match = getMatch()
+      if (match?.id !== matchId) return
+      const { goal, statusChanged } = applyMatchUpdate(match, changes)
+      if (goal) onGoal?.(match)
+      if (statusChanged) onStatusChange?.(match)
+    },
+    onComment: ({ matchId, comment }) => {
+      const match = getMatch()
+      if (match?.id === matchId) onComment(match, comment)
+    },
+    onConnectionChange
+  }))
+}
+
+export default {
+  LIVE_POLL_INTERVAL,
+  IDLE_POLL_INTERVAL,
+  isLiveMatch,
+  isFinalMatch,
+  applyMatchUpdate,
+  createPoller,
+  watchLiveMatches,
+  watchMatch
+}
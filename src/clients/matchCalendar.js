@@ -0,0 +1,161 @@
+import { getMatchesByDateRange } from './matchClient.js'
+import { toDateKey, fromDateKey, addDays } from './matchFilters.js'
+
+// Calendar weeks start on Monday (0 = Sunday)
+export const WEEK_STARTS_ON = 1
+
+const MONTH_PATTERN = /^\d{4}-\d{2}$/
+const DAY_PATTERN = /^\d{4}-\d{2}-\d{2}$/
+
+/**
+ * Get today's day key in the user's time zone
+ * @returns {string} Day key ('yyyy-MM-dd')
+ */
+export const getTodayKey = () => toDateKey(new Date())
+
+/**
+ * Format a date as a 'yyyy-MM' month key in the user's time zone
+ * @param {Date|string} date - Date, or a day key
+ * @returns {string} Month key
+ */
+export const toMonthKey = (date) => {
+  const key = typeof date === 'string' ? date : toDateKey(date)
+  return key.slice(0, 7)
+}
+
+/**
+ * Check a 'yyyy-MM' month key
+ * @param {string} value - Value to check
+ * @returns {boolean} True if it is a month key
+ */
+export const isMonthKey = (value) => MONTH_PATTERN.test(value || '')
+
+/**
+ * Check a 'yyyy-MM-dd' day key
+ * @param {string} value - Value to check
+ * @returns {boolean} True if it is a day key
+ */
+export const isDateKey = (value) => DAY_PATTERN.test(value || '')
+
+/**
+ * Add months to a month key
+ * @param {string} monthKey - Month key
+ * @param {number} months - Months to add (may be negative)
+ * @returns {string} Month key
+ */
+export const addMonths = (monthKey, months) => {
+  const [year, month] = monthKey.split('-').map(Number)
+  return toMonthKey(new Date(year, month - 1 + months, 1))
+}
+
+/**
+ * Build the month grid shown by the calendar
+ * Whole weeks are returned, so the first and last week include days of the
+ * neighbouring months.
+ * @param {string} monthKey - Month key
+ * @returns {Object[][]} Weeks of days { key, day, inMonth, isToday }
+ */
+export const getMonthGrid = (monthKey) => {
+  const first = fromDateKey(`${monthKey}-01`)
+  const offset = (first.getDay() - WEEK_STARTS_ON + 7) % 7
+  const todayKey = getTodayKey()
+
+  const weeks = []
+  let key = addDays(`${monthKey}-01`, -offset)
+  do {
+    const week = []
+    for (let i = 0; i < 7; i++) {
+      week.push({
+        key,
+        day: fromDateKey(key).getDate(),
+        inMonth: toMonthKey(key) === monthKey,
+        isToday: key === todayKey
+      })
+      key = addDays(key, 1)
+    }
+    weeks.push(week)
+  } while (toMonthKey(key) === monthKey)
+
+  return weeks
+}
+
+/**
+ * Weekday names in grid order
+ * @param {'short'|'long'|'narrow'} [format='short'] - Name length
+ * @returns {string[]} Weekday names
+ */
+export const getWeekdayNames = (format = 'short') => {
+  // 2024-01-01 was a Monday
+  return Array.from({ length: 7 }, (_, index) =>
+    new Date(2024, 0, 1 + ((index + WEEK_STARTS_ON - 1 + 7) % 7)).toLocaleDateString('en-US', { weekday: format })
+  )
+}
+
+/**
+ * Human label for a day: Today, Yesterday, Tomorrow or the date
+ * @param {string} key - Day key
+ * @returns {string} Label
+ */
+export const formatDayLabel = (key) => {
+  const todayKey = getTodayKey()
+  if (key === todayKey) return 'Today'
+  if (key === addDays(todayKey, -1)) return 'Yesterday'
+  if (key === addDays(todayKey, 1)) return 'Tomorrow'
+  return fromDateKey(key).toLocaleDateString('en-US', {
+    weekday: 'long',
+    month: 'long',
+    day: 'numeric',
+    year: 'numeric'
+  })
+}
+
+/**
+ * Get matches per day in the user's time zone
+ * The server splits days in UTC, so the request is widened by a day on each
+ * side and matches are sorted into local days here.
+ * @param {string} fromKey - First day key
+ * @param {string} toKey - Last day key
+ * @param {RequestOptions} [options] - Request options (signal, timeout, cache)
+ * @returns {Promise<Map<string, Object[]>>} Day key -> matches by kick-off time (days without matches are left out)
+ */
+export const getMatchesByLocalDay = async (fromKey, toKey, options = {}) => {
+  const matches = await getMatchesByDateRange(addDays(fromKey, -1), addDays(toKey, 1), options)
+  const days = new Map()
+
+  matches
+    .filter(match => match.utcDate)
+    .sort((a, b) => a.utcDate - b.utcDate)
+    .forEach((match) => {
+      const key = toDateKey(match.utcDate)
+      if (key < fromKey || key > toKey) return
+      if (!days.has(key)) days.set(key, [])
+      days.get(key).push(match)
+    })
+
+  return days
+}
+
+/**
+ * Get the matches of one day in the user's time zone
+ * @param {string} key - Day key
+ * @param {RequestOptions} [options] - Request options (signal, timeout, cache)
+ * @returns {Promise<Object[]>} Matches by kick-off time
+ */
+export const getMatchesForDay = async (key, options = {}) => {
+  const days = await getMatchesByLocalDay(key, key, options)
+  return days.get(key) || []
+}
+
+export default {
+  WEEK_STARTS_ON,
+  getTodayKey,
+  toMonthKey,
+  isMonthKey,
+  isDateKey,
+  addMonths,
+  getMonthGrid,
+  getWeekdayNames,
+  formatDayLabel,
+  getMatchesByLocalDay,
+  getMatchesForDay
+}
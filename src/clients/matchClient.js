@@ -1,7 +1,127 @@
-import { ref } from 'vue'
+import { request } from './httpClient.js'
+import { parsePage } from './pagination.js'
+import { useLoadingState } from '../composables/useLoadingState.js'
+import { NetworkError, TimeoutError, NotFoundError } from './apiErrors.js'
+import { createRequestCache } from './requestCache.js'
+import { saveMatch, saveMatchList, getSavedMatch, getSavedMatchList } from '../store/offlineStore.js'
+import { parseReactions } from '../models/Comment.js'
+import { onAuthChange } from '../store/authStore.js'
 
-// API base URL - adjust this to match your backend API
-const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || 'http://localhost:8080'
+/**
+ * Request options, plus `cache: 'reload'` on reads to bypass cached data
+ * @typedef {import('./httpClient.js').RequestOptions & {cache?: 'default'|'reload'}} RequestOptions
+ */
+
+// Cache policies per endpoint (see requestCache.js) - fresh for `ttl`,
+// then served stale for `staleTtl` while it is refreshed in the background
+const CACHE_POLICIES = {
+  matches: { ttl: 60 * 1000, staleTtl: 5 * 60 * 1000 },
+  match: { ttl: 30 * 1000, staleTtl: 5 * 60 * 1000 },
+  live: { ttl: 10 * 1000, staleTtl: 0 },
+  schedule: { ttl: 5 * 60 * 1000, staleTtl: 30 * 60 * 1000 },
+  stats: { ttl: 5 * 60 * 1000, staleTtl: 30 * 60 * 1000 },
+  comments: { ttl: 30 * 1000, staleTtl: 0 }
+}
+
+const matchCache = createRequestCache()
+
+/**
+ * Keep a copy of fetched matches on the device for offline use
+ * @param {'list'|'match'} offline - Shape of the response
+ * @param {string} key - Cache key
+ * @param {*} data - Raw response body
+ */
+const persistForOffline = (offline, key, data) => {
+  const saved = offline === 'list'
+    ? (Array.isArray(data) ? saveMatchList(key, data) : null)
+    : saveMatch(data)
+  saved?.catch((error) => {
+    console.warn('Could not save matches for offline use:', error)
+  })
+}
+
+/**
+ * Read matches saved by persistForOffline
+ * @param {'list'|'match'} offline - Shape of the response
+ * @param {string} key - Cache key
+ * @param {string} path - API path (the match ID is its last segment)
+ * @returns {Promise<*>} Saved data, or null
+ */
+const readOffline = (offline, key, path) => {
+  const saved = offline === 'list'
+    ? getSavedMatchList(key)
+    : getSavedMatch(path.split('/').pop())
+  return saved.catch(() => null)
+}
+
+/**
+ * GET through the match cache
+ * Concurrent calls for the same URL share one request. The raw response is
+ * cached and parsed by the caller, so nobody shares mutable objects.
+ * With `offline` set, matches are also saved to IndexedDB and served from
+ * there when the server cannot be reached (each match then has `savedAt`).
+ * @param {string} path - API path
+ * @param {keyof CACHE_POLICIES} policyName - Cache policy
+ * @param {RequestOptions} [options] - Request options (query, signal, timeout, cache)
+ * @param {'list'|'match'|null} [offline=null] - Response shape to keep for offline use
+ * @returns {Promise<*>} Raw response body
+ */
+const cachedRequest = async (path, policyName, options = {}, offline = null) => {
+  const { cache, signal, ...requestOptions } = options
+  const params = new URLSearchParams(
+    Object.entries(requestOptions.query || {}).filter(([, value]) => value !== undefined && value !== null)
+  ).toString()
+  const key = params ? `${path}?${params}` : path
+
+  const load = async () => {
+    const data = await request(path, requestOptions)
+    if (offline) persistForOffline(offline, key, data)
+    return data
+  }
+
+  try {
+    return await matchCache.get(key, load, CACHE_POLICIES[policyName], { cache, signal })
+  } catch (error) {
+    // Only fall back when the server could not be reached - real errors still surface
+    const unreachable = error instanceof NetworkError || error instanceof TimeoutError
+    if (!offline || !unreachable) throw error
+
+    const saved = await readOffline(offline, key, path)
+    if (saved === null) throw error
+    return saved
+  }
+}
+
+/**
+ * Drop a match and its comments from the cache, and mark match lists stale
+ * (their embedded comments may have changed)
+ * @param {number} matchId - Match ID
+ */
+export const invalidateMatchCache = (matchId) => {
+  matchCache.invalidate(new RegExp(`^/api/matches/${matchId}(\\?|$)`))
+  matchCache.invalidate(new RegExp(`^/api/comments/event/${matchId}(?:[/?]|$)`))
+  matchCache.invalidate(/^\/api\/comments\?/)
+  matchCache.markStale('/api/matches')
+}
+
+/**
+ * Drop every cached comment page, for changes where the match is not known
+ */
+const invalidateCommentCache = () => {
+  matchCache.invalidate('/api/comments')
+  matchCache.markStale('/api/matches')
+}
+
+/**
+ * Empty the match cache
+ */
+export const clearMatchCache = () => {
+  matchCache.clear()
+}
+
+// Cache keys do not include the user - the next account must not see this one's
+// reactions and comment state
+onAuthChange(() => clearMatchCache())
 
 /**
  * Match structure from the new MongoDB API
@@ -48,6 +168,9 @@ const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || 'http://localhost:8080
  * @property {string|Date} createdAt - Comment creation date
  * @property {string} userId - User ID (MongoDB ObjectId)
  * @property {string} username - Username
+ * @property {string|null} parentId - ID of the comment this replies to
+ * @property {Object<string, number>} reactions - Reaction counts per emoji
+ * @property {Object<string, string[]>} reactedBy - User IDs per emoji
  * 
  * @typedef {Object} Match
  * @property {number} id - Match ID (from Football-Data.org)
@@ -64,6 +187,7 @@ const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || 'http://localhost:8080
  * @property {TeamInfo} awayTeam - Away team information
  * @property {Score} score - Match score
  * @property {CommentRef[]} comments - Match comments
+ * @property {Date|null} savedAt - When the offline copy was saved (null when fresh from the API)
  */
 
 /**
@@ -90,38 +214,33 @@ const parseMatch = (data) => {
     homeTeam: data.homeTeam || null,
     awayTeam: data.awayTeam || null,
     score: data.score || null,
-    comments: Array.isArray(data.comments) ? data.comments.map(c => ({
-      ...c,
-      createdAt: c.createdAt ? new Date(c.createdAt) : null
-    })) : []
+    comments: Array.isArray(data.comments) ? data.comments.map(parseComment) : [],
+    savedAt: data.savedAt ? new Date(data.savedAt) : null
   }
 }
 
 /**
- * Handle API errors
- * @param {Response} response - Fetch response object
- * @returns {Promise} Response or throws error
+ * Parse a comment from API response
+ * @param {Object} data - Raw comment data
+ * @returns {CommentRef} Parsed comment
  */
-const handleResponse = async (response) => {
-  if (!response.ok) {
-    const errorText = await response.text()
-    throw new Error(`API Error: ${response.status} ${response.statusText} - ${errorText}`)
+export const parseComment = (data) => {
+  return {
+    ...data,
+    createdAt: data.createdAt ? new Date(data.createdAt) : null,
+    parentId: data.parentId || null,
+    ...parseReactions(data.reactions)
   }
-  return response.json()
 }
 
 /**
  * Get all matches
+ * @param {RequestOptions} [options] - Request options (signal, timeout)
  * @returns {Promise<Match[]>} List of matches
  */
-export const getMatches = async () => {
+export const getMatches = async (options = {}) => {
   try {
-    const response = await fetch(`${API_BASE_URL}/api/matches`, {
-      method: 'GET',
-      headers: getAuthHeaders()
-    })
-    
-    const data = await handleResponse(response)
+    const data = await cachedRequest('/api/matches', 'matches', options, 'list')
     return Array.isArray(data) ? data.map(parseMatch) : []
   } catch (error) {
     console.error('Error fetching matches:', error)
@@ -132,16 +251,12 @@ export const getMatches = async () => {
 /**
  * Get match by ID
  * @param {number} id - Match ID
+ * @param {RequestOptions} [options] - Request options (signal, timeout)
  * @returns {Promise<Match>} Match data
  */
-export const getMatchById = async (id) => {
+export const getMatchById = async (id, options = {}) => {
   try {
-    const response = await fetch(`${API_BASE_URL}/api/matches/${id}`, {
-      method: 'GET',
-      headers: getAuthHeaders()
-    })
-    
-    const data = await handleResponse(response)
+    const data = await cachedRequest(`/api/matches/${id}`, 'match', options, 'match')
     return parseMatch(data)
   } catch (error) {
     console.error('Error fetching match by ID:', error)
@@ -149,13 +264,35 @@ export const getMatchById = async (id) => {
   }
 }
 
+/**
+ * Get several matches by ID
+ * Each match is read through the cache; IDs of matches that no longer
+ * exist are left out of the result.
+ * @param {number[]} ids - Match IDs
+ * @param {RequestOptions} [options] - Request options (signal, timeout)
+ * @returns {Promise<Map<number, Match>>} Matches by ID
+ */
+export const getMatchesByIds = async (ids, options = {}) => {
+  const uniqueIds = [...new Set(ids.map(Number))]
+  const results = await Promise.all(uniqueIds.map(async (id) => {
+    try {
+      return [id, await getMatchById(id, options)]
+    } catch (error) {
+      if (error instanceof NotFoundError) return [id, null]
+      throw error
+    }
+  }))
+  return new Map(results.filter(([, match]) => match))
+}
+
 /**
  * Get matches by date range
  * @param {string|Date} startDate - Start date in format 'yyyy-MM-dd' or Date object
  * @param {string|Date} endDate - End date in format 'yyyy-MM-dd' or Date object
+ * @param {RequestOptions} [options] - Request options (signal, timeout)
  * @returns {Promise<Match[]>} List of matches within the specified date range
  */
-export const getMatchesByDateRange = async (startDate, endDate) => {
+export const getMatchesByDateRange = async (startDate, endDate, options = {}) => {
   try {
     // Convert Date objects to strings if needed
     const formatDate = (date) => {
@@ -171,12 +308,10 @@ export const getMatchesByDateRange = async (startDate, endDate) => {
     const startDateString = formatDate(startDate)
     const endDateString = formatDate(endDate)
     
-    const response = await fetch(`${API_BASE_URL}/api/matches/date-range?startDate=${startDateString}&endDate=${endDateString}`, {
-      method: 'GET',
-      headers: getAuthHeaders()
-    })
-    
-    const data = await handleResponse(response)
+    const data = await cachedRequest('/api/matches/date-range', 'schedule', {
+      ...options,
+      query: { startDate: startDateString, endDate: endDateString }
+    }, 'list')
     return Array.isArray(data) ? data.map(parseMatch) : []
   } catch (error) {
     console.error('Error fetching matches by date range:', error)
@@ -187,16 +322,12 @@ export const getMatchesByDateRange = async (startDate, endDate) => {
 /**
  * Get matches by team ID
  * @param {number} teamId - Team ID
+ * @param {RequestOptions} [options] - Request options (signal, timeout)
  * @returns {Promise<Match[]>} List of matches for the specified team
  */
-export const getMatchesByTeamId = async (teamId) => {
+export const getMatchesByTeamId = async (teamId, options = {}) => {
   try {
-    const response = await fetch(`${API_BASE_URL}/api/matches/team/${teamId}`, {
-      method: 'GET',
-      headers: getAuthHeaders()
-    })
-    
-    const data = await handleResponse(response)
+    const data = await cachedRequest(`/api/matches/team/${teamId}`, 'schedule', options, 'list')
     return Array.isArray(data) ? data.map(parseMatch) : []
   } catch (error) {
     console.error('Error fetching matches by team ID:', error)
@@ -207,16 +338,12 @@ export const getMatchesByTeamId = async (teamId) => {
 /**
  * Get matches by competition ID
  * @param {number} competitionId - Competition ID
+ * @param {RequestOptions} [options] - Request options (signal, timeout)
  * @returns {Promise<Match[]>} List of matches for the specified competition
  */
-export const getMatchesByCompetition = async (competitionId) => {
+export const getMatchesByCompetition = async (competitionId, options = {}) => {
   try {
-    const response = await fetch(`${API_BASE_URL}/api/matches/competition/${competitionId}`, {
-      method: 'GET',
-      headers: getAuthHeaders()
-    })
-    
-    const data = await handleResponse(response)
+    const data = await cachedRequest(`/api/matches/competition/${competitionId}`, 'schedule', options, 'list')
     return Array.isArray(data) ? data.map(parseMatch) : []
   } catch (error) {
     console.error('Error fetching matches by competition:', error)
@@ -227,16 +354,12 @@ export const getMatchesByCompetition = async (competitionId) => {
 /**
  * Get matches by competition code
  * @param {string} code - Competition code (e.g., 'PL', 'CL', 'BSA')
+ * @param {RequestOptions} [options] - Request options (signal, timeout)
  * @returns {Promise<Match[]>} List of matches for the specified competition
  */
-export const getMatchesByCompetitionCode = async (code) => {
+export const getMatchesByCompetitionCode = async (code, options = {}) => {
   try {
-    const response = await fetch(`${API_BASE_URL}/api/matches/competition/code/${code}`, {
-      method: 'GET',
-      headers: getAuthHeaders()
-    })
-    
-    const data = await handleResponse(response)
+    const data = await cachedRequest(`/api/matches/competition/code/${code}`, 'schedule', options, 'list')
     return Array.isArray(data) ? data.map(parseMatch) : []
   } catch (error) {
     console.error('Error fetching matches by competition code:', error)
@@ -247,16 +370,12 @@ export const getMatchesByCompetitionCode = async (code) => {
 /**
  * Get matches by status
  * @param {string} status - Match status (e.g., 'SCHEDULED', 'FINISHED', 'IN_PLAY')
+ * @param {RequestOptions} [options] - Request options (signal, timeout)
  * @returns {Promise<Match[]>} List of matches with the specified status
  */
-export const getMatchesByStatus = async (status) => {
+export const getMatchesByStatus = async (status, options = {}) => {
   try {
-    const response = await fetch(`${API_BASE_URL}/api/matches/status/${status}`, {
-      method: 'GET',
-      headers: getAuthHeaders()
-    })
-    
-    const data = await handleResponse(response)
+    const data = await cachedRequest(`/api/matches/status/${status}`, status === 'IN_PLAY' ? 'live' : 'matches', options, 'list')
     return Array.isArray(data) ? data.map(parseMatch) : []
   } catch (error) {
     console.error('Error fetching matches by status:', error)
@@ -266,16 +385,12 @@ export const getMatchesByStatus = async (status) => {
 
 /**
  * Get today's matches
+ * @param {RequestOptions} [options] - Request options (signal, timeout)
  * @returns {Promise<Match[]>} List of today's matches
  */
-export const getTodayMatches = async () => {
+export const getTodayMatches = async (options = {}) => {
   try {
-    const response = await fetch(`${API_BASE_URL}/api/matches/today`, {
-      method: 'GET',
-      headers: getAuthHeaders()
-    })
-    
-    const data = await handleResponse(response)
+    const data = await cachedRequest('/api/matches/today', 'matches', options, 'list')
     return Array.isArray(data) ? data.map(parseMatch) : []
   } catch (error) {
     console.error('Error fetching today matches:', error)
@@ -285,16 +400,12 @@ export const getTodayMatches = async () => {
 
 /**
  * Get upcoming matches
+ * @param {RequestOptions} [options] - Request options (signal, timeout)
  * @returns {Promise<Match[]>} List of upcoming matches
  */
-export const getUpcomingMatches = async () => {
+export const getUpcomingMatches = async (options = {}) => {
   try {
-    const response = await fetch(`${API_BASE_URL}/api/matches/upcoming`, {
-      method: 'GET',
-      headers: getAuthHeaders()
-    })
-    
-    const data = await handleResponse(response)
+    const data = await cachedRequest('/api/matches/upcoming', 'schedule', options, 'list')
     return Array.isArray(data) ? data.map(parseMatch) : []
   } catch (error) {
     console.error('Error fetching upcoming matches:', error)
@@ -304,16 +415,12 @@ export const getUpcomingMatches = async () => {
 
 /**
  * Get finished matches
+ * @param {RequestOptions} [options] - Request options (signal, timeout)
  * @returns {Promise<Match[]>} List of finished matches
  */
-export const getFinishedMatches = async () => {
+export const getFinishedMatches = async (options = {}) => {
   try {
-    const response = await fetch(`${API_BASE_URL}/api/matches/finished`, {
-      method: 'GET',
-      headers: getAuthHeaders()
-    })
-    
-    const data = await handleResponse(response)
+    const data = await cachedRequest('/api/matches/finished', 'schedule', options, 'list')
     return Array.isArray(data) ? data.map(parseMatch) : []
   } catch (error) {
     console.error('Error fetching finished matches:', error)
@@ -325,16 +432,12 @@ export const getFinishedMatches = async () => {
  * Get matches by competition and matchday
  * @param {number} competitionId - Competition ID
  * @param {number} matchday - Matchday number
+ * @param {RequestOptions} [options] - Request options (signal, timeout)
  * @returns {Promise<Match[]>} List of matches
  */
-export const getMatchesByCompetitionAndMatchday = async (competitionId, matchday) => {
+export const getMatchesByCompetitionAndMatchday = async (competitionId, matchday, options = {}) => {
   try {
-    const response = await fetch(`${API_BASE_URL}/api/matches/competition/${competitionId}/matchday/${matchday}`, {
-      method: 'GET',
-      headers: getAuthHeaders()
-    })
-    
-    const data = await handleResponse(response)
+    const data = await cachedRequest(`/api/matches/competition/${competitionId}/matchday/${matchday}`, 'schedule', options, 'list')
     return Array.isArray(data) ? data.map(parseMatch) : []
   } catch (error) {
     console.error('Error fetching matches by competition and matchday:', error)
@@ -344,16 +447,12 @@ export const getMatchesByCompetitionAndMatchday = async (competitionId, matchday
 
 /**
  * Get match statistics
+ * @param {RequestOptions} [options] - Request options (signal, timeout)
  * @returns {Promise<Object>} Match statistics
  */
-export const getMatchStats = async () => {
+export const getMatchStats = async (options = {}) => {
   try {
-    const response = await fetch(`${API_BASE_URL}/api/matches/stats`, {
-      method: 'GET',
-      headers: getAuthHeaders()
-    })
-    
-    return await handleResponse(response)
+    return await cachedRequest('/api/matches/stats', 'stats', options)
   } catch (error) {
     console.error('Error fetching match stats:', error)
     throw error
@@ -361,50 +460,241 @@ export const getMatchStats = async () => {
 }
 
 /**
- * Get authorization headers with token
- * @returns {Object} Headers object with Authorization if token exists
+ * Create a new comment for a match
+ * Requires authentication - JWT token must be present
+ * @param {Object} commentData - Comment data
+ * @param {string} commentData.text - Comment text
+ * @param {string} commentData.userId - User ID (MongoDB ObjectId)
+ * @param {number} commentData.eventId - Match ID (still called eventId for API compatibility)
+ * @param {string} [commentData.parentId] - ID of the comment being replied to
+ * @param {RequestOptions} [options] - Request options (signal, timeout)
+ * @returns {Promise<Object>} Created comment
  */
-const getAuthHeaders = () => {
-  const token = localStorage.getItem('matchlog_auth_token')
-  const headers = {
-    'Content-Type': 'application/json'
+export const createComment = async (commentData, options = {}) => {
+  try {
+    const data = await request('/api/comments', {
+      ...options,
+      method: 'POST',
+      body: {
+        text: commentData.text,
+        userId: commentData.userId,
+        eventId: commentData.eventId,
+        ...(commentData.parentId ? { parentId: commentData.parentId } : {})
+      }
+    })
+    invalidateMatchCache(commentData.eventId)
+    return parseComment(data)
+  } catch (error) {
+    console.error('Error creating comment:', error)
+    throw error
   }
-  
-  if (token) {
-    headers['Authorization'] = `Bearer ${token}`
+}
+
+/**
+ * Reply to a comment
+ * Requires authentication - JWT token must be present
+ * @param {string} parentId - ID of the comment being replied to
+ * @param {Object} commentData - Comment data (text, userId, eventId)
+ * @param {RequestOptions} [options] - Request options (signal, timeout)
+ * @returns {Promise<Object>} Created reply
+ */
+export const replyToComment = (parentId, commentData, options = {}) => {
+  return createComment({ ...commentData, parentId }, options)
+}
+
+// Emoji users can react to a comment with
+export const COMMENT_REACTIONS = ['👍', '⚽', '🔥', '👏', '😂']
+
+/**
+ * Add a reaction to a comment
+ * Requires authentication - JWT token must be present
+ * API Endpoint: POST /api/comments/{id}/reactions
+ * @param {string} commentId - Comment ID (MongoDB ObjectId)
+ * @param {string} emoji - Reaction emoji
+ * @param {string} userId - User ID (MongoDB ObjectId)
+ * @param {RequestOptions} [options] - Request options (signal, timeout)
+ * @returns {Promise<Object>} Updated comment
+ */
+export const addReaction = async (commentId, emoji, userId, options = {}) => {
+  try {
+    const data = await request(`/api/comments/${commentId}/reactions`, {
+      ...options,
+      method: 'POST',
+      body: { emoji, userId }
+    })
+    invalidateCommentCache()
+    return parseComment(data || {})
+  } catch (error) {
+    console.error('Error adding reaction:', error)
+    throw error
   }
-  
-  return headers
 }
 
 /**
- * Create a new comment for a match
+ * Remove the user's reaction from a comment
  * Requires authentication - JWT token must be present
+ * API Endpoint: DELETE /api/comments/{id}/reactions?emoji={emoji}&userId={userId}
+ * @param {string} commentId - Comment ID (MongoDB ObjectId)
+ * @param {string} emoji - Reaction emoji
+ * @param {string} userId - User ID (MongoDB ObjectId)
+ * @param {RequestOptions} [options] - Request options (signal, timeout)
+ * @returns {Promise<Object>} Updated comment
+ */
+export const removeReaction = async (commentId, emoji, userId, options = {}) => {
+  try {
+    const data = await request(`/api/comments/${commentId}/reactions`, {
+      ...options,
+      method: 'DELETE',
+      query: { emoji, userId }
+    })
+    invalidateCommentCache()
+    return parseComment(data || {})
+  } catch (error) {
+    console.error('Error removing reaction:', error)
+    throw error
+  }
+}
+
+// Default number of comments per page
+export const COMMENT_PAGE_SIZE = 20
+
+/**
+ * Paginated comment list
+ * @typedef {Object} CommentPage
+ * @property {CommentRef[]} comments - Comments on this page
+ * @property {number} total - Total number of comments on the match
+ * @property {number} page - Zero-based page index
+ * @property {number} size - Page size
+ * @property {boolean} hasMore - True if more pages exist
+ */
+
+/**
+ * Get one page of comments for a match
+ * API Endpoint: GET /api/comments/event/{id}?page={page}&size={size}&sort=createdAt,{dir}
+ * Accepts both a Spring page and a plain array (an unpaginated backend) as
+ * the response (see parsePage).
+ * @param {number} matchId - Match ID (still called eventId by the API)
+ * @param {Object} [params] - Paging parameters
+ * @param {number} [params.page=0] - Zero-based page index
+ * @param {number} [params.size=COMMENT_PAGE_SIZE] - Page size
+ * @param {'newest'|'oldest'} [params.sort='newest'] - Sort order
+ * @param {RequestOptions} [options] - Request options (signal, timeout)
+ * @returns {Promise<CommentPage>} Page of comments
+ */
+export const getCommentsByMatch = async (matchId, params = {}, options = {}) => {
+  const { page = 0, size = COMMENT_PAGE_SIZE, sort = 'newest' } = params
+  try {
+    const data = await cachedRequest(`/api/comments/event/${matchId}`, 'comments', {
+      ...options,
+      query: {
+        page,
+        size,
+        sort: `createdAt,${sort === 'oldest' ? 'asc' : 'desc'}`
+      }
+    })
+
+    const { content, ...pageInfo } = parsePage(data, { page, size })
+    return { comments: content.map(parseComment), ...pageInfo }
+  } catch (error) {
+    console.error('Error fetching comments by match:', error)
+    throw error
+  }
+}
+
+/**
+ * Get every comment written by a user
+ * API Endpoint: GET /api/comments/user/{id}
+ * Accepts a plain array or a Spring page ({ content }) as the response.
+ * @param {string} userId - User ID (MongoDB ObjectId)
+ * @param {RequestOptions} [options] - Request options (signal, timeout)
+ * @returns {Promise<CommentRef[]>} Comments, newest first
+ */
+export const getCommentsByUser = async (userId, options = {}) => {
+  try {
+    const data = await cachedRequest(`/api/comments/user/${userId}`, 'comments', options)
+    const content = Array.isArray(data) ? data : Array.isArray(data?.content) ? data.content : []
+    return content
+      .map(parseComment)
+      .sort((a, b) => (b.createdAt?.getTime() || 0) - (a.createdAt?.getTime() || 0))
+  } catch (error) {
+    console.error('Error fetching comments by user:', error)
+    throw error
+  }
+}
+
+/**
+ * Update a comment's text
+ * Requires authentication - only the author or an admin may edit
+ * API Endpoint: PUT /api/comments/{id}
+ * @param {string} commentId - Comment ID (MongoDB ObjectId)
  * @param {Object} commentData - Comment data
- * @param {string} commentData.text - Comment text
- * @param {string} commentData.userId - User ID (MongoDB ObjectId)
+ * @param {string} commentData.text - New comment text
+ * @param {string} commentData.userId - Author's user ID (MongoDB ObjectId)
  * @param {number} commentData.eventId - Match ID (still called eventId for API compatibility)
- * @returns {Promise<Object>} Created comment
+ * @param {RequestOptions} [options] - Request options (signal, timeout)
+ * @returns {Promise<Object>} Updated comment
  */
-export const createComment = async (commentData) => {
+export const updateComment = async (commentId, commentData, options = {}) => {
   try {
-    const response = await fetch(`${API_BASE_URL}/api/comments`, {
-      method: 'POST',
-      headers: getAuthHeaders(),
-      body: JSON.stringify({
+    const data = await request(`/api/comments/${commentId}`, {
+      ...options,
+      method: 'PUT',
+      body: {
         text: commentData.text,
         userId: commentData.userId,
         eventId: commentData.eventId
-      })
+      }
     })
-    
-    const data = await handleResponse(response)
-    return {
-      ...data,
-      createdAt: data.createdAt ? new Date(data.createdAt) : null
-    }
+    invalidateMatchCache(commentData.eventId)
+    return parseComment(data || {})
   } catch (error) {
-    console.error('Error creating comment:', error)
+    console.error('Error updating comment:', error)
+    throw error
+  }
+}
+
+/**
+ * Delete a comment
+ * Requires authentication - only the author, an admin or a moderator may delete
+ * API Endpoint: DELETE /api/comments/{id}
+ * @param {string} commentId - Comment ID (MongoDB ObjectId)
+ * @param {RequestOptions} [options] - Request options (signal, timeout)
+ * @returns {Promise<void>}
+ */
+export const deleteComment = async (commentId, options = {}) => {
+  try {
+    await request(`/api/comments/${commentId}`, {
+      ...options,
+      method: 'DELETE'
+    })
+    invalidateCommentCache()
+  } catch (error) {
+    console.error('Error deleting comment:', error)
+    throw error
+  }
+}
+
+/**
+ * Get the most recent comments across all matches
+ * Asks the backend for one page, newest first, instead of downloading every
+ * match; the matches are then fetched by ID to tag each comment.
+ * API Endpoint: GET /api/comments?sort=createdAt,desc&size={limit}
+ * @param {number} [limit=50] - Maximum number of comments to return
+ * @param {RequestOptions} [options] - Request options (signal, timeout)
+ * @returns {Promise<Array<CommentRef & {match: Match|null}>>} Comments, newest first (match is null when it no longer exists)
+ */
+export const getRecentComments = async (limit = 50, options = {}) => {
+  try {
+    const data = await cachedRequest('/api/comments', 'comments', {
+      ...options,
+      query: { page: 0, size: limit, sort: 'createdAt,desc' }
+    })
+    const content = Array.isArray(data) ? data : Array.isArray(data?.content) ? data.content : []
+    const comments = content.slice(0, limit).map(parseComment)
+    const matches = await getMatchesByIds(comments.map(comment => comment.eventId).filter(Boolean), options)
+    return comments.map(comment => ({ ...comment, match: matches.get(Number(comment.eventId)) || null }))
+  } catch (error) {
+    console.error('Error fetching recent comments:', error)
     throw error
   }
 }
@@ -412,6 +702,7 @@ export const createComment = async (commentData) => {
 /**
  * Client-side search for matches
  * Since the search endpoint was removed, this implements local filtering
+ * @deprecated Use `searchMatches` from matchSearch.js (diacritics, typos and ranking)
  * @param {Match[]} matches - Array of matches to search
  * @param {string} query - Search query
  * @returns {Match[]} Filtered matches
@@ -432,6 +723,7 @@ export const searchMatchesLocal = (matches, query) => {
 export default {
   getMatches,
   getMatchById,
+  getMatchesByIds,
   getMatchesByDateRange,
   getMatchesByTeamId,
   getMatchesByCompetition,
@@ -442,7 +734,17 @@ export default {
   getFinishedMatches,
   getMatchesByCompetitionAndMatchday,
   getMatchStats,
+  getCommentsByMatch,
+  getCommentsByUser,
   createComment,
+  replyToComment,
+  addReaction,
+  removeReaction,
+  updateComment,
+  deleteComment,
+  getRecentComments,
+  invalidateMatchCache,
+  clearMatchCache,
   searchMatchesLocal
 }
 
@@ -451,39 +753,35 @@ export default {
  * Provides reactive loading and error states along with API methods
  */
 export const useMatchClient = () => {
-  const loading = ref(false)
-  const error = ref(null)
-
-  const executeWithLoading = async (apiCall) => {
-    loading.value = true
-    error.value = null
-    try {
-      const result = await apiCall()
-      return result
-    } catch (err) {
-      error.value = err.message || 'An error occurred'
-      throw err
-    } finally {
-      loading.value = false
-    }
-  }
+  const { loading, error, executeWithLoading } = useLoadingState()
 
   return {
     loading,
     error,
-    getMatches: () => executeWithLoading(getMatches),
-    getMatchById: (id) => executeWithLoading(() => getMatchById(id)),
-    getMatchesByDateRange: (startDate, endDate) => executeWithLoading(() => getMatchesByDateRange(startDate, endDate)),
-    getMatchesByTeamId: (teamId) => executeWithLoading(() => getMatchesByTeamId(teamId)),
-    getMatchesByCompetition: (competitionId) => executeWithLoading(() => getMatchesByCompetition(competitionId)),
-    getMatchesByCompetitionCode: (code) => executeWithLoading(() => getMatchesByCompetitionCode(code)),
-    getMatchesByStatus: (status) => executeWithLoading(() => getMatchesByStatus(status)),
-    getTodayMatches: () => executeWithLoading(getTodayMatches),
-    getUpcomingMatches: () => executeWithLoading(getUpcomingMatches),
-    getFinishedMatches: () => executeWithLoading(getFinishedMatches),
-    getMatchesByCompetitionAndMatchday: (competitionId, matchday) => executeWithLoading(() => getMatchesByCompetitionAndMatchday(competitionId, matchday)),
-    getMatchStats: () => executeWithLoading(getMatchStats),
-    createComment: (commentData) => executeWithLoading(() => createComment(commentData)),
+    getMatches: (options) => executeWithLoading(() => getMatches(options)),
+    getMatchById: (id, options) => executeWithLoading(() => getMatchById(id, options)),
+    getMatchesByIds: (ids, options) => executeWithLoading(() => getMatchesByIds(ids, options)),
+    getMatchesByDateRange: (startDate, endDate, options) => executeWithLoading(() => getMatchesByDateRange(startDate, endDate, options)),
+    getMatchesByTeamId: (teamId, options) => executeWithLoading(() => getMatchesByTeamId(teamId, options)),
+    getMatchesByCompetition: (competitionId, options) => executeWithLoading(() => getMatchesByCompetition(competitionId, options)),
+    getMatchesByCompetitionCode: (code, options) => executeWithLoading(() => getMatchesByCompetitionCode(code, options)),
+    getMatchesByStatus: (status, options) => executeWithLoading(() => getMatchesByStatus(status, options)),
+    getTodayMatches: (options) => executeWithLoading(() => getTodayMatches(options)),
+    getUpcomingMatches: (options) => executeWithLoading(() => getUpcomingMatches(options)),
+    getFinishedMatches: (options) => executeWithLoading(() => getFinishedMatches(options)),
+    getMatchesByCompetitionAndMatchday: (competitionId, matchday, options) => executeWithLoading(() => getMatchesByCompetitionAndMatchday(competitionId, matchday, options)),
+    getMatchStats: (options) => executeWithLoading(() => getMatchStats(options)),
+    getCommentsByMatch: (matchId, params, options) => executeWithLoading(() => getCommentsByMatch(matchId, params, options)),
+    getCommentsByUser: (userId, options) => executeWithLoading(() => getCommentsByUser(userId, options)),
+    createComment: (commentData, options) => executeWithLoading(() => createComment(commentData, options)),
+    replyToComment: (parentId, commentData, options) => executeWithLoading(() => replyToComment(parentId, commentData, options)),
+    addReaction: (commentId, emoji, userId, options) => executeWithLoading(() => addReaction(commentId, emoji, userId, options)),
+    removeReaction: (commentId, emoji, userId, options) => executeWithLoading(() => removeReaction(commentId, emoji, userId, options)),
+    updateComment: (commentId, commentData, options) => executeWithLoading(() => updateComment(commentId, commentData, options)),
+    deleteComment: (commentId, options) => executeWithLoading(() => deleteComment(commentId, options)),
+    getRecentComments: (limit, options) => executeWithLoading(() => getRecentComments(limit, options)),
+    invalidateMatchCache,
+    clearMatchCache,
     searchMatchesLocal
   }
 }
@@ -0,0 +1,262 @@
+import {
+  getMatchesByDateRange,
+  getMatchesByCompetitionCode,
+  getMatchesByStatus,
+  getMatchesByTeamId
+} from './matchClient.js'
+
+/**
+ * Status chips and the API statuses each one stands for
+ */
+export const STATUS_FILTERS = [
+  { key: 'scheduled', label: 'Scheduled', statuses: ['SCHEDULED', 'TIMED'] },
+  { key: 'live', label: 'Live', statuses: ['IN_PLAY', 'PAUSED'] },
+  { key: 'finished', label: 'Finished', statuses: ['FINISHED', 'AWARDED'] },
+  { key: 'postponed', label: 'Postponed', statuses: ['POSTPONED', 'SUSPENDED', 'CANCELLED'] }
+]
+
+/**
+ * Match filters, as kept in the Home URL query
+ * @typedef {Object} MatchFilters
+ * @property {string|null} from - First day, 'yyyy-MM-dd' in the user's time zone
+ * @property {string|null} to - Last day, 'yyyy-MM-dd' in the user's time zone
+ * @property {string[]} competitions - Competition codes
+ * @property {string[]} statuses - STATUS_FILTERS keys
+ * @property {number|null} teamId - Team ID
+ */
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/
+
+const splitList = (value) => {
+  const raw = Array.isArray(value) ? value.join(',') : value || ''
+  return raw.split(',').map(item => item.trim()).filter(Boolean)
+}
+
+/**
+ * Format a date as 'yyyy-MM-dd' in the user's time zone
+ * @param {Date|string} date - Date
+ * @returns {string} Day key
+ */
+export const toDateKey = (date) => {
+  const value = date instanceof Date ? date : new Date(date)
+  const year = value.getFullYear()
+  const month = String(value.getMonth() + 1).padStart(2, '0')
+  const day = String(value.getDate()).padStart(2, '0')
+  return `${year}-${month}-${day}`
+}
+
+/**
+ * Parse a 'yyyy-MM-dd' day key as local midnight
+ * @param {string} key - Day key
+ * @returns {Date} Date
+ */
+export const fromDateKey = (key) => {
+  const [year, month, day] = key.split('-').map(Number)
+  return new Date(year, month - 1, day)
+}
+
+/**
+ * Add days to a day key
+ * @param {string} key - Day key
+ * @param {number} days - Days to add (may be negative)
+ * @returns {string} Day key
+ */
+export const addDays = (key, days) => {
+  const date = fromDateKey(key)
+  date.setDate(date.getDate() + days)
+  return toDateKey(date)
+}
+
+/**
+ * Read filters from a route query
+ * Unknown statuses and malformed dates are ignored. A range with only one
+ * end covers that single day, and a reversed range is swapped.
+ * @param {Object} query - Route query
+ * @returns {MatchFilters} Filters
+ */
+export const parseMatchFilters = (query = {}) => {
+  let from = DATE_PATTERN.test(query.from) ? query.from : null
+  let to = DATE_PATTERN.test(query.to) ? query.to : null
+  if (from && to && from > to) [from, to] = [to, from]
+  const teamId = Number(query.teamId)
+  const statusKeys = STATUS_FILTERS.map(filter => filter.key)
+
+  return {
+    from: from || to,
+    to: to || from,
+    competitions: splitList(query.competitions).map(code => code.toUpperCase()),
+    statuses: splitList(query.status).filter(key => statusKeys.includes(key)),
+    teamId: Number.isInteger(teamId) && teamId > 0 ? teamId : null
+  }
+}
+
+/**
+ * Turn filters into route query parameters
+ * Empty filters are set to undefined so vue-router drops them from the URL.
+ * @param {MatchFilters} filters - Filters
+ * @returns {Object} Query parameters
+ */
+export const toRouteQuery = (filters) => ({
+  from: filters.from || undefined,
+  to: filters.to || undefined,
+  competitions: filters.competitions.length ? filters.competitions.join(',') : undefined,
+  status: filters.statuses.length ? filters.statuses.join(',') : undefined,
+  teamId: filters.teamId ? String(filters.teamId) : undefined
+})
+
+/**
+ * Check if any filter is set
+ * @param {MatchFilters} filters - Filters
+ * @returns {boolean} True if at least one filter is set
+ */
+export const hasActiveFilters = (filters) => {
+  return Boolean(filters.from || filters.competitions.length || filters.statuses.length || filters.teamId)
+}
+
+/**
+ * Count the filters that are set (the date range counts once)
+ * @param {MatchFilters} filters - Filters
+ * @returns {number} Number of active filters
+ */
+export const countActiveFilters = (filters) => {
+  return (filters.from ? 1 : 0) + filters.competitions.length + filters.statuses.length + (filters.teamId ? 1 : 0)
+}
+
+const getApiStatuses = (statusKeys) => {
+  return STATUS_FILTERS
+    .filter(filter => statusKeys.includes(filter.key))
+    .flatMap(filter => filter.statuses)
+}
+
+/**
+ * Apply filters to a list of matches
+ * @param {Object[]} matches - Matches
+ * @param {MatchFilters} filters - Filters
+ * @returns {Object[]} Matches passing every filter
+ */
+export const filterMatches = (matches, filters) => {
+  const statuses = getApiStatuses(filters.statuses)
+
+  return matches.filter((match) => {
+    if (filters.from) {
+      if (!match.utcDate) return false
+      const day = toDateKey(match.utcDate)
+      if (day < filters.from || day > filters.to) return false
+    }
+    if (filters.competitions.length && !filters.competitions.includes(match.competition?.code?.toUpperCase())) {
+      return false
+    }
+    if (statuses.length && !statuses.includes(match.status)) {
+      return false
+    }
+    if (filters.teamId && match.homeTeam?.id !== filters.teamId && match.awayTeam?.id !== filters.teamId) {
+      return false
+    }
+    return true
+  })
+}
+
+// Matches of several lists, each listed once
+const uniqueById = (lists) => {
+  const byId = new Map()
+  lists.flat().forEach(match => byId.set(match.id, match))
+  return Array.from(byId.values())
+}
+
+/**
+ * Fetch the matches passing the filters
+ * Asks the server for the narrowest list available (team, then competitions,
+ * then date range, then statuses) and applies the other filters locally.
+ * The date range request is widened by a day on each side because the
+ * server works in UTC days.
+ * @param {MatchFilters} filters - Active filters
+ * @param {RequestOptions} [options] - Request options (signal, timeout, cache)
+ * @returns {Promise<Object[]>} Matches
+ */
+export const fetchFilteredMatches = async (filters, options = {}) => {
+  let matches
+  if (filters.teamId) {
+    matches = await getMatchesByTeamId(filters.teamId, options)
+  } else if (filters.competitions.length) {
+    matches = uniqueById(await Promise.all(
+      filters.competitions.map(code => getMatchesByCompetitionCode(code, options))
+    ))
+  } else if (filters.from) {
+    matches = await getMatchesByDateRange(addDays(filters.from, -1), addDays(filters.to, 1), options)
+  } else {
+    matches = uniqueById(await Promise.all(
+      getApiStatuses(filters.statuses).map(status => getMatchesByStatus(status, options))
+    ))
+  }
+  return filterMatches(matches, filters)
+}
+
+/**
+ * Competitions and teams offered by the filter panel
+ * @param {Object[]} matches - Matches to collect from
+ * @returns {{competitions: Object[], teams: Object[]}} Options sorted by name
+ */
+export const collectFilterOptions = (matches) => {
+  const competitions = new Map()
+  const teams = new Map()
+
+  matches.forEach((match) => {
+    if (match.competition?.code) {
+      competitions.set(match.competition.code, match.competition)
+    }
+    for (const team of [match.homeTeam, match.awayTeam]) {
+      if (team?.id) teams.set(team.id, team)
+    }
+  })
+
+  const byName = (a, b) => (a.name || '').localeCompare(b.name || '')
+  return {
+    competitions: Array.from(competitions.values()).sort(byName),
+    teams: Array.from(teams.values()).sort(byName)
+  }
+}
+
+/**
+ * Group matches by competition, then by kick-off time
+ * @param {Object[]} matches - Matches
+ * @returns {Object[]} Groups { key, competition, slots: [{ key, time, matches }] }, by competition name
+ */
+export const groupMatches = (matches) => {
+  const groups = new Map()
+
+  matches.forEach((match) => {
+    const groupKey = match.competition?.code || match.competition?.name || 'other'
+    if (!groups.has(groupKey)) {
+      groups.set(groupKey, { key: groupKey, competition: match.competition || null, slots: new Map() })
+    }
+    const group = groups.get(groupKey)
+    const time = match.utcDate ? new Date(match.utcDate) : null
+    const slotKey = time ? time.toISOString() : 'tbd'
+    if (!group.slots.has(slotKey)) {
+      group.slots.set(slotKey, { key: slotKey, time, matches: [] })
+    }
+    group.slots.get(slotKey).matches.push(match)
+  })
+
+  return Array.from(groups.values())
+    .map(group => ({
+      ...group,
+      slots: Array.from(group.slots.values()).sort((a, b) => (a.time?.getTime() ?? Infinity) - (b.time?.getTime() ?? Infinity))
+    }))
+    .sort((a, b) => (a.competition?.name || '').localeCompare(b.competition?.name || ''))
+}
+
+export default {
+  STATUS_FILTERS,
+  toDateKey,
+  fromDateKey,
+  addDays,
+  parseMatchFilters,
+  toRouteQuery,
+  hasActiveFilters,
+  countActiveFilters,
+  filterMatches,
+  fetchFilteredMatches,
+  collectFilterOptions,
+  groupMatches
+}
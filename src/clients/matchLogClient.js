@@ -0,0 +1,277 @@
+import LogEntry, { LOG_TYPES, MIN_RATING, MAX_RATING, REVIEW_MAX_LENGTH } from '../models/LogEntry.js'
+import { request } from './httpClient.js'
+import { useLoadingState } from '../composables/useLoadingState.js'
+import { getMatchesByIds } from './matchClient.js'
+
+/**
+ * @typedef {import('./httpClient.js').RequestOptions} RequestOptions
+ */
+
+// Matches that have not kicked off yet cannot be watched
+const UNLOGGABLE_STATUSES = ['SCHEDULED', 'TIMED', 'POSTPONED', 'CANCELLED']
+
+/**
+ * Check whether a match can be logged
+ * @param {Object} match - Match
+ * @returns {boolean} True once the match has kicked off
+ */
+export const canLogMatch = (match) => {
+  return !!match?.id && !UNLOGGABLE_STATUSES.includes(match.status)
+}
+
+/**
+ * Check a log entry before it is sent
+ * @param {Object} entryData - Entry data (type, rating, review, watchedOn)
+ * @returns {Object<string, string>} Messages per field, empty when valid
+ */
+export const validateLogEntry = (entryData) => {
+  const errors = {}
+  if (!LOG_TYPES.includes(entryData.type)) {
+    errors.type = 'Choose whether you watched or attended the match'
+  }
+  if (entryData.rating != null && (entryData.rating < MIN_RATING || entryData.rating > MAX_RATING)) {
+    errors.rating = `Rating must be between ${MIN_RATING} and ${MAX_RATING}`
+  }
+  if ((entryData.review || '').length > REVIEW_MAX_LENGTH) {
+    errors.review = `Review must be at most ${REVIEW_MAX_LENGTH} characters`
+  }
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(entryData.watchedOn || '')) {
+    errors.watchedOn = 'Enter the date you saw the match'
+  }
+  return errors
+}
+
+/**
+ * Request body for a log entry
+ * @param {Object} entryData - Entry data
+ * @returns {Object} Body
+ */
+const toRequestBody = (entryData) => ({
+  userId: entryData.userId,
+  matchId: Number(entryData.matchId),
+  type: entryData.type,
+  rating: entryData.rating ?? null,
+  review: (entryData.review || '').trim(),
+  watchedOn: entryData.watchedOn
+})
+
+/**
+ * Get a user's match log
+ * API Endpoint: GET /api/logs/user/{userId}
+ * @param {string} userId - User ID (MongoDB ObjectId)
+ * @param {RequestOptions} [options] - Request options (signal, timeout)
+ * @returns {Promise<LogEntry[]>} Entries, most recently seen first
+ */
+export const getUserLog = async (userId, options = {}) => {
+  try {
+    const data = await request(`/api/logs/user/${userId}`, options)
+    return (Array.isArray(data) ? data.map(LogEntry.fromJSON) : [])
+      .sort((a, b) => (b.watchedOn || '').localeCompare(a.watchedOn || ''))
+  } catch (error) {
+    console.error('Error fetching match log:', error)
+    throw error
+  }
+}
+
+/**
+ * Log a match
+ * Requires authentication - JWT token must be present
+ * API Endpoint: POST /api/logs
+ * @param {Object} entryData - Entry data
+ * @param {string} entryData.userId - User ID (MongoDB ObjectId)
+ * @param {number} entryData.matchId - Match ID
+ * @param {'WATCHED'|'ATTENDED'} entryData.type - Watched or attended in the stadium
+ * @param {number|null} [entryData.rating] - Rating from 1 to 5
+ * @param {string} [entryData.review] - Short review
+ * @param {string} entryData.watchedOn - Day the match was seen, 'yyyy-MM-dd'
+ * @param {RequestOptions} [options] - Request options (signal, timeout)
+ * @returns {Promise<LogEntry>} Created entry
+ */
+export const createLogEntry = async (entryData, options = {}) => {
+  try {
+    const data = await request('/api/logs', {
+      ...options,
+      method: 'POST',
+      body: toRequestBody(entryData)
+    })
+    return LogEntry.fromJSON(data || {})
+  } catch (error) {
+    console.error('Error creating log entry:', error)
+    throw error
+  }
+}
+
+/**
+ * Update a log entry
+ * Requires authentication - only the owner may edit
+ * API Endpoint: PUT /api/logs/{id}
+ * @param {string} entryId - Entry ID (MongoDB ObjectId)
+ * @param {Object} entryData - Entry data (same fields as createLogEntry)
+ * @param {RequestOptions} [options] - Request options (signal, timeout)
+ * @returns {Promise<LogEntry>} Updated entry
+ */
+export const updateLogEntry = async (entryId, entryData, options = {}) => {
+  try {
+    const data = await request(`/api/logs/${entryId}`, {
+      ...options,
+      method: 'PUT',
+      body: toRequestBody(entryData)
+    })
+    return LogEntry.fromJSON(data || {})
+  } catch (error) {
+    console.error('Error updating log entry:', error)
+    throw error
+  }
+}
+
+/**
+ * Delete a log entry
+ * Requires authentication - only the owner may delete
+ * API Endpoint: DELETE /api/logs/{id}
+ * @param {string} entryId - Entry ID (MongoDB ObjectId)
+ * @param {RequestOptions} [options] - Request options (signal, timeout)
+ * @returns {Promise<void>}
+ */
+export const deleteLogEntry = async (entryId, options = {}) => {
+  try {
+    await request(`/api/logs/${entryId}`, {
+      ...options,
+      method: 'DELETE'
+    })
+  } catch (error) {
+    console.error('Error deleting log entry:', error)
+    throw error
+  }
+}
+
+/**
+ * Fill in the match of entries the API sent without one
+ * Matches are read through the match cache; entries whose match no longer
+ * exists keep `match` null.
+ * @param {LogEntry[]} entries - Entries
+ * @param {RequestOptions} [options] - Request options (signal, timeout)
+ * @returns {Promise<LogEntry[]>} The same entries
+ */
+export const attachLogMatches = async (entries, options = {}) => {
+  const missing = entries.filter(entry => !entry.match).map(entry => entry.matchId)
+  if (missing.length === 0) return entries
+
+  const matches = await getMatchesByIds(missing, options)
+  entries.forEach((entry) => {
+    if (!entry.match) entry.match = matches.get(entry.matchId) || null
+  })
+  return entries
+}
+
+/**
+ * Season label for a match, e.g. '2024/2025'
+ * @param {Object} match - Match
+ * @returns {string} Label, empty when the season is unknown
+ */
+export const getSeasonLabel = (match) => {
+  const season = match?.season
+  if (!season?.startDate) return ''
+  const start = season.startDate.getFullYear()
+  const end = season.endDate?.getFullYear()
+  return end && end !== start ? `${start}/${end}` : String(start)
+}
+
+/**
+ * Log filters, as kept in the URL query
+ * @typedef {Object} LogFilters
+ * @property {string|null} competition - Competition code
+ * @property {number|null} teamId - Team ID
+ * @property {string|null} season - Season label (see getSeasonLabel)
+ */
+
+/**
+ * Filter log entries
+ * @param {LogEntry[]} entries - Entries with their match attached
+ * @param {LogFilters} filters - Filters
+ * @returns {LogEntry[]} Matching entries
+ */
+export const filterLogEntries = (entries, filters) => {
+  return entries.filter(({ match }) => {
+    if (filters.competition && match?.competition?.code !== filters.competition) return false
+    if (filters.teamId && match?.homeTeam?.id !== filters.teamId && match?.awayTeam?.id !== filters.teamId) return false
+    if (filters.season && getSeasonLabel(match) !== filters.season) return false
+    return true
+  })
+}
+
+/**
+ * Competitions, teams and seasons found in a log, for the filter dropdowns
+ * @param {LogEntry[]} entries - Entries with their match attached
+ * @returns {{competitions: Object[], teams: Object[], seasons: string[]}} Options, sorted
+ */
+export const collectLogFilterOptions = (entries) => {
+  const competitions = new Map()
+  const teams = new Map()
+  const seasons = new Set()
+
+  entries.forEach(({ match }) => {
+    if (!match) return
+    if (match.competition?.code) competitions.set(match.competition.code, match.competition)
+    ;[match.homeTeam, match.awayTeam].forEach((team) => {
+      if (team?.id) teams.set(team.id, team)
+    })
+    const season = getSeasonLabel(match)
+    if (season) seasons.add(season)
+  })
+
+  const byName = (a, b) => (a.name || '').localeCompare(b.name || '')
+  return {
+    competitions: Array.from(competitions.values()).sort(byName),
+    teams: Array.from(teams.values()).sort(byName),
+    seasons: Array.from(seasons).sort().reverse()
+  }
+}
+
+/**
+ * Totals shown above the log
+ * @param {LogEntry[]} entries - Entries
+ * @returns {{logged: number, attended: number, rated: number, averageRating: number|null}} Summary
+ */
+export const summarizeLog = (entries) => {
+  const ratings = entries.map(entry => entry.rating).filter(rating => rating != null)
+  return {
+    logged: entries.length,
+    attended: entries.filter(entry => entry.isAttended()).length,
+    rated: ratings.length,
+    averageRating: ratings.length
+      ? Math.round((ratings.reduce((sum, rating) => sum + rating, 0) / ratings.length) * 10) / 10
+      : null
+  }
+}
+
+// Default export with all methods
+export default {
+  canLogMatch,
+  validateLogEntry,
+  getUserLog,
+  createLogEntry,
+  updateLogEntry,
+  deleteLogEntry,
+  attachLogMatches,
+  getSeasonLabel,
+  filterLogEntries,
+  collectLogFilterOptions,
+  summarizeLog
+}
+
+/**
+ * Composable function for using MatchLogClient in Vue components
+ * Provides reactive loading and error states along with API methods
+ */
+export const useMatchLogClient = () => {
+  const { loading, error, executeWithLoading } = useLoadingState()
+
+  return {
+    loading,
+    error,
+    getUserLog: (userId, options) => executeWithLoading(() => getUserLog(userId, options)),
+    createLogEntry: (entryData, options) => executeWithLoading(() => createLogEntry(entryData, options)),
+    updateLogEntry: (entryId, entryData, options) => executeWithLoading(() => updateLogEntry(entryId, entryData, options)),
+    deleteLogEntry: (entryId, options) => executeWithLoading(() => deleteLogEntry(entryId, options))
+  }
+}
@@ -0,0 +1,325 @@
+import { getMatches } from './matchClient.js'
+import { isLiveMatch } from './liveUpdates.js'
+
+// Queries shorter than this return no results
+export const MIN_QUERY_LENGTH = 2
+
+// How long the index over all matches is reused before it is rebuilt (ms)
+const INDEX_TTL = 60000
+
+// Letters NFD does not decompose into a base letter and a combining mark
+const SPECIAL_LETTERS = {
+  ı: 'i',
+  ø: 'o',
+  đ: 'd',
+  ð: 'd',
+  ł: 'l',
+  ß: 'ss',
+  æ: 'ae',
+  œ: 'oe',
+  þ: 'th'
+}
+
+/**
+ * Searchable fields and their weights
+ * `exact` fields (codes) only match whole tokens, so "PL" does not hit
+ * every team starting with "pl".
+ */
+const FIELDS = [
+  { key: 'team', weight: 10, get: match => [match.homeTeam?.name, match.awayTeam?.name] },
+  { key: 'team', weight: 9, get: match => [match.homeTeam?.shortName, match.awayTeam?.shortName] },
+  { key: 'team', weight: 8, exact: true, get: match => [match.homeTeam?.tla, match.awayTeam?.tla] },
+  { key: 'competition', weight: 6, get: match => [match.competition?.name] },
+  { key: 'competition', weight: 6, exact: true, get: match => [match.competition?.code] },
+  { key: 'area', weight: 3, get: match => [match.area?.name] },
+  { key: 'venue', weight: 3, get: match => [match.venue, match.homeTeam?.venue] }
+]
+
+// Match quality of a single query token against a field token
+const QUALITY = {
+  exact: 1,
+  prefix: 0.85,
+  substring: 0.6,
+  typo: 0.5
+}
+
+/**
+ * Normalize text for searching
+ * Lowercases, folds diacritics ("Beşiktaş" -> "besiktas") and turns
+ * punctuation into spaces.
+ * @param {string} text - Text to normalize
+ * @returns {string} Normalized text
+ */
+export const normalizeText = (text) => {
+  if (!text) return ''
+  return String(text)
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[ıøđðłßæœþ]/g, letter => SPECIAL_LETTERS[letter])
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim()
+}
+
+/**
+ * Split text into normalized tokens
+ * @param {string} text - Text to split
+ * @returns {string[]} Tokens
+ */
+export const tokenize = (text) => {
+  const normalized = normalizeText(text)
+  return normalized ? normalized.split(' ') : []
+}
+
+/**
+ * Number of typos tolerated for a query token of this length
+ * @param {number} length - Token length
+ * @returns {number} Maximum edit distance
+ */
+const allowedTypos = (length) => {
+  if (length < 4) return 0
+  if (length < 8) return 1
+  return 2
+}
+
+/**
+ * Edit distance with adjacent transpositions (optimal string alignment)
+ * Gives up early once every path exceeds `max`.
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @param {number} max - Largest distance of interest
+ * @returns {number} Distance, or max + 1 when it is larger than max
+ */
+export const editDistance = (a, b, max) => {
+  if (Math.abs(a.length - b.length) > max) return max + 1
+
+  let previousRow = null
+  let row = Array.from({ length: b.length + 1 }, (_, index) => index)
+
+  for (let i = 1; i <= a.length; i++) {
+    const nextRow = [i]
+    let rowMin = i
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1
+      let value = Math.min(row[j] + 1, nextRow[j - 1] + 1, row[j - 1] + cost)
+      if (previousRow && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        value = Math.min(value, previousRow[j - 2] + 1)
+      }
+      nextRow.push(value)
+      rowMin = Math.min(rowMin, value)
+    }
+    if (rowMin > max) return max + 1
+    previousRow = row
+    row = nextRow
+  }
+
+  return row[b.length]
+}
+
+/**
+ * Score a query token against a field token
+ * @param {string} queryToken - Normalized query token
+ * @param {string} fieldToken - Normalized field token
+ * @param {boolean} exactOnly - Only whole-token matches count
+ * @returns {number} Match quality between 0 and 1
+ */
+const matchToken = (queryToken, fieldToken, exactOnly) => {
+  if (queryToken === fieldToken) return QUALITY.exact
+  if (exactOnly) return 0
+  if (fieldToken.startsWith(queryToken)) return QUALITY.prefix
+  if (queryToken.length >= 3 && fieldToken.includes(queryToken)) return QUALITY.substring
+
+  const maxTypos = allowedTypos(queryToken.length)
+  if (maxTypos === 0) return 0
+
+  // A typo in a partly typed word: compare against the same-length prefix too
+  const prefix = fieldToken.slice(0, queryToken.length)
+  const distance = Math.min(
+    editDistance(queryToken, fieldToken, maxTypos),
+    editDistance(queryToken, prefix, maxTypos)
+  )
+  return distance <= maxTypos ? QUALITY.typo - (distance - 1) * 0.1 : 0
+}
+
+/**
+ * Build the searchable entries of a match
+ * @param {Object} match - Match
+ * @returns {Object[]} Entries { key, weight, exact, text, tokens }
+ */
+const indexMatch = (match) => {
+  return FIELDS.flatMap(field =>
+    field.get(match)
+      .filter(Boolean)
+      .map(value => ({
+        key: field.key,
+        weight: field.weight,
+        exact: Boolean(field.exact),
+        text: normalizeText(value),
+        tokens: tokenize(value)
+      }))
+      .filter(entry => entry.tokens.length > 0)
+  )
+}
+
+/**
+ * Score a match document against the query tokens
+ * Every query token must match some field, otherwise the match is left out.
+ * @param {Object} document - Indexed match
+ * @param {string[]} queryTokens - Normalized query tokens
+ * @param {string} queryText - Normalized query
+ * @returns {{score: number, matchedFields: string[]}|null} Score, or null when not matching
+ */
+const scoreDocument = (document, queryTokens, queryText) => {
+  let score = 0
+  const matchedFields = new Set()
+
+  for (const queryToken of queryTokens) {
+    let best = 0
+    let bestField = null
+    for (const entry of document.entries) {
+      for (const fieldToken of entry.tokens) {
+        const value = matchToken(queryToken, fieldToken, entry.exact) * entry.weight
+        if (value > best) {
+          best = value
+          bestField = entry.key
+        }
+      }
+    }
+    if (best === 0) return null
+    score += best
+    matchedFields.add(bestField)
+  }
+
+  // Whole-phrase bonus: "real madrid" ranks Real Madrid above Real Sociedad v Madrid
+  if (queryTokens.length > 1) {
+    const phrase = document.entries.find(entry => !entry.exact && entry.text.includes(queryText))
+    if (phrase) {
+      score += phrase.weight * (phrase.text.startsWith(queryText) ? 1 : 0.5)
+    }
+  }
+
+  return { score, matchedFields: Array.from(matchedFields) }
+}
+
+/**
+ * Order equally scored results: live first, then closest kick-off to now
+ * @param {Object} a - Match
+ * @param {Object} b - Match
+ * @param {number} now - Current time in ms
+ * @returns {number} Sort order
+ */
+const compareByRelevance = (a, b, now) => {
+  if (isLiveMatch(a) !== isLiveMatch(b)) return isLiveMatch(a) ? -1 : 1
+
+  const distance = (match) => {
+    const time = match.utcDate ? new Date(match.utcDate).getTime() : NaN
+    return Number.isNaN(time) ? Infinity : Math.abs(time - now)
+  }
+  // Two matches without a date compare as Infinity - Infinity
+  return distance(a) - distance(b) || 0
+}
+
+/**
+ * Search result
+ * @typedef {Object} MatchSearchResult
+ * @property {Object} match - Matching match
+ * @property {number} score - Relevance score (higher is better)
+ * @property {string[]} matchedFields - Fields hit by the query ('team', 'competition', 'area', 'venue')
+ */
+
+/**
+ * Build a search index over a list of matches
+ * @param {Object[]} matches - Matches to index
+ * @returns {{size: number, search: function(string, Object=): MatchSearchResult[]}} Index
+ */
+export const createMatchIndex = (matches) => {
+  const documents = matches
+    .filter(Boolean)
+    .map(match => ({ match, entries: indexMatch(match) }))
+
+  return {
+    size: documents.length,
+
+    /**
+     * Search the index
+     * @param {string} query - Search query
+     * @param {Object} [searchOptions] - Search options
+     * @param {number} [searchOptions.limit] - Maximum number of results
+     * @returns {MatchSearchResult[]} Results, best first
+     */
+    search(query, searchOptions = {}) {
+      const { limit } = searchOptions
+      const queryText = normalizeText(query)
+      if (queryText.replace(/ /g, '').length < MIN_QUERY_LENGTH) return []
+
+      const queryTokens = queryText.split(' ')
+      const now = Date.now()
+      const results = documents
+        .map(document => {
+          const scored = scoreDocument(document, queryTokens, queryText)
+          return scored && { match: document.match, ...scored }
+        })
+        .filter(Boolean)
+        .sort((a, b) => b.score - a.score || compareByRelevance(a.match, b.match, now))
+
+      return limit ? results.slice(0, limit) : results
+    }
+  }
+}
+
+// Index over every match, rebuilt after INDEX_TTL
+let sharedIndex = null
+let sharedIndexBuiltAt = 0
+
+/**
+ * Get the index over all matches
+ * Matches come from matchClient, so concurrent loads share one request and
+ * fall back to the offline copy.
+ * @param {RequestOptions} [options] - Request options (signal, timeout, cache)
+ * @returns {Promise<Object>} Match index
+ */
+export const getMatchIndex = async (options = {}) => {
+  const expired = Date.now() - sharedIndexBuiltAt > INDEX_TTL
+  if (sharedIndex && !expired && options.cache !== 'reload') {
+    return sharedIndex
+  }
+
+  const matches = await getMatches(options)
+  sharedIndex = createMatchIndex(matches)
+  sharedIndexBuiltAt = Date.now()
+  return sharedIndex
+}
+
+/**
+ * Drop the shared index so the next search rebuilds it
+ */
+export const resetMatchIndex = () => {
+  sharedIndex = null
+  sharedIndexBuiltAt = 0
+}
+
+/**
+ * Search all matches
+ * @param {string} query - Search query (team, competition, area or venue)
+ * @param {Object} [searchOptions] - Search options
+ * @param {number} [searchOptions.limit] - Maximum number of results
+ * @param {Object[]} [searchOptions.matches] - Search these matches instead of all matches
+ * @param {RequestOptions} [options] - Request options used to load the matches
+ * @returns {Promise<MatchSearchResult[]>} Results, best first
+ */
+export const searchMatches = async (query, searchOptions = {}, options = {}) => {
+  const { limit, matches } = searchOptions
+  const index = matches ? createMatchIndex(matches) : await getMatchIndex(options)
+  return index.search(query, { limit })
+}
+
+export default {
+  MIN_QUERY_LENGTH,
+  normalizeText,
+  tokenize,
+  editDistance,
+  createMatchIndex,
+  getMatchIndex,
+  resetMatchIndex,
+  searchMatches
+}
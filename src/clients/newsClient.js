@@ -0,0 +1,350 @@
+import NewsArticle from '../models/NewsArticle.js'
+import { request } from './httpClient.js'
+import { parsePage } from './pagination.js'
+import { useLoadingState } from '../composables/useLoadingState.js'
+import { NotFoundError } from './apiErrors.js'
+import { createRequestCache } from './requestCache.js'
+
+/**
+ * Request options, plus `cache: 'reload'` on reads to bypass cached data
+ * @typedef {import('./httpClient.js').RequestOptions & {cache?: 'default'|'reload'}} RequestOptions
+ */
+
+// News source - an RSS/Atom feed when VITE_NEWS_FEED_URL is set, the JSON
+// news endpoint otherwise. The feed URL may be absolute or a path on the API;
+// a third-party feed must allow CORS (or be proxied through the backend).
+export const NEWS_FEED_URL = import.meta.env.VITE_NEWS_FEED_URL || ''
+export const NEWS_ENDPOINT = import.meta.env.VITE_NEWS_ENDPOINT || '/api/news'
+export const NEWS_SOURCE = NEWS_FEED_URL ? 'feed' : 'api'
+
+export const NEWS_PAGE_SIZE = 6
+
+// Length of excerpts built from feed descriptions
+const EXCERPT_LENGTH = 200
+
+// Feeds are downloaded whole, so pages and articles are served from one copy
+const NEWS_CACHE_POLICY = { ttl: 5 * 60 * 1000, staleTtl: 30 * 60 * 1000 }
+const newsCache = createRequestCache({ maxEntries: 50 })
+
+/**
+ * Short stable ID for a feed item (feeds have no numeric IDs)
+ * @param {string} value - GUID, link or title
+ * @returns {string} Base-36 hash
+ */
+const hashId = (value) => {
+  let hash = 5381
+  for (let i = 0; i < value.length; i++) {
+    hash = ((hash * 33) ^ value.charCodeAt(i)) >>> 0
+  }
+  return hash.toString(36)
+}
+
+/**
+ * First direct child element with one of the given tag names
+ * @param {Element} element - Parent element
+ * @param {...string} names - Qualified tag names (e.g. 'content:encoded')
+ * @returns {Element|null} Child element
+ */
+const findChild = (element, ...names) => {
+  return Array.from(element.children).find(child => names.includes(child.tagName)) || null
+}
+
+/**
+ * All direct child elements with the given tag name
+ * @param {Element} element - Parent element
+ * @param {string} name - Qualified tag name
+ * @returns {Element[]} Child elements
+ */
+const findChildren = (element, name) => {
+  return Array.from(element.children).filter(child => child.tagName === name)
+}
+
+/**
+ * Trimmed text of the first matching child
+ * @param {Element} element - Parent element
+ * @param {...string} names - Qualified tag names
+ * @returns {string} Text, or ''
+ */
+const childText = (element, ...names) => findChild(element, ...names)?.textContent.trim() || ''
+
+/**
+ * Turn feed HTML into plain-text paragraphs
+ * Feed markup is never rendered, so nothing from a third party can run in the app.
+ * @param {string} html - HTML or plain text
+ * @returns {{paragraphs: string[], image: string|null}} Paragraphs and the first image
+ */
+export const htmlToParagraphs = (html) => {
+  if (!html) return { paragraphs: [], image: null }
+  const doc = new DOMParser().parseFromString(html, 'text/html')
+  const image = doc.querySelector('img[src]')?.getAttribute('src') || null
+
+  const blocks = Array.from(doc.body.querySelectorAll('p, li, h1, h2, h3, h4, h5, h6, blockquote'))
+    // Nested blocks (a <p> inside a <blockquote>) would be read twice
+    .filter(block => !block.parentElement.closest('p, li, blockquote'))
+  const paragraphs = (blocks.length > 0
+    ? blocks.map(block => block.textContent)
+    : doc.body.textContent.split(/\n\s*\n/))
+    .map(text => text.replace(/\s+/g, ' ').trim())
+    .filter(Boolean)
+
+  return { paragraphs, image }
+}
+
+/**
+ * Shorten text to an excerpt on a word boundary
+ * @param {string} text - Text
+ * @param {number} [length=EXCERPT_LENGTH] - Maximum length
+ * @returns {string} Excerpt
+ */
+const toExcerpt = (text, length = EXCERPT_LENGTH) => {
+  if (text.length <= length) return text
+  const cut = text.slice(0, length)
+  const lastSpace = cut.lastIndexOf(' ')
+  return `${lastSpace > 0 ? cut.slice(0, lastSpace) : cut}…`
+}
+
+/**
+ * Image URL of a feed item from its media tags
+ * @param {Element} item - <item> or <entry> element
+ * @returns {string|null} Image URL
+ */
+const findMediaImage = (item) => {
+  const enclosure = findChildren(item, 'enclosure')
+    .find(element => (element.getAttribute('type') || '').startsWith('image'))
+  const atomEnclosure = findChildren(item, 'link')
+    .find(element => element.getAttribute('rel') === 'enclosure' && (element.getAttribute('type') || '').startsWith('image'))
+  const media = findChild(item, 'media:content', 'media:thumbnail')
+    || findChild(findChild(item, 'media:group') || item, 'media:content', 'media:thumbnail')
+
+  return enclosure?.getAttribute('url')
+    || atomEnclosure?.getAttribute('href')
+    || media?.getAttribute('url')
+    || null
+}
+
+/**
+ * Build an article from the fields shared by RSS and Atom items
+ * @param {Object} fields - Extracted fields
+ * @returns {NewsArticle} Article
+ */
+const toArticle = ({ key, title, link, date, summary, body, category, author, image, source }) => {
+  const summaryText = htmlToParagraphs(summary)
+  const bodyText = body ? htmlToParagraphs(body) : summaryText
+  const paragraphs = bodyText.paragraphs.length > 0 ? bodyText.paragraphs : summaryText.paragraphs
+
+  return new NewsArticle({
+    id: hashId(key || link || title),
+    title: htmlToParagraphs(title).paragraphs.join(' ') || title,
+    excerpt: toExcerpt((summaryText.paragraphs.length > 0 ? summaryText.paragraphs : paragraphs).join(' ')),
+    content: paragraphs.join('\n\n'),
+    image: image || bodyText.image || summaryText.image,
+    date,
+    category,
+    author,
+    link,
+    source
+  })
+}
+
+/**
+ * Parse an RSS 2.0 (or RSS 1.0/RDF) document
+ * @param {Document} doc - XML document
+ * @returns {NewsArticle[]} Articles in feed order
+ */
+const parseRss = (doc) => {
+  const channel = doc.getElementsByTagName('channel')[0]
+  const source = channel ? childText(channel, 'title') : ''
+
+  return Array.from(doc.getElementsByTagName('item')).map(item => toArticle({
+    key: childText(item, 'guid'),
+    title: childText(item, 'title'),
+    link: childText(item, 'link') || null,
+    date: childText(item, 'pubDate', 'dc:date'),
+    summary: childText(item, 'description'),
+    body: childText(item, 'content:encoded'),
+    category: childText(item, 'category', 'dc:subject'),
+    author: childText(item, 'dc:creator', 'author'),
+    image: findMediaImage(item),
+    source
+  }))
+}
+
+/**
+ * Parse an Atom 1.0 document
+ * @param {Document} doc - XML document
+ * @returns {NewsArticle[]} Articles in feed order
+ */
+const parseAtom = (doc) => {
+  const feed = doc.documentElement
+  const source = childText(feed, 'title')
+
+  return Array.from(doc.getElementsByTagName('entry')).map((entry) => {
+    const link = findChildren(entry, 'link')
+      .find(element => !element.getAttribute('rel') || element.getAttribute('rel') === 'alternate')
+    const category = findChild(entry, 'category')
+    const author = findChild(entry, 'author')
+
+    return toArticle({
+      key: childText(entry, 'id'),
+      title: childText(entry, 'title'),
+      link: link?.getAttribute('href') || null,
+      date: childText(entry, 'published', 'updated'),
+      summary: childText(entry, 'summary'),
+      body: childText(entry, 'content'),
+      category: category?.getAttribute('label') || category?.getAttribute('term') || '',
+      author: author ? childText(author, 'name') : '',
+      image: findMediaImage(entry),
+      source
+    })
+  })
+}
+
+/**
+ * Parse an RSS or Atom feed
+ * @param {string} xml - Feed document
+ * @returns {NewsArticle[]} Articles, newest first
+ * @throws {Error} When the document is not a feed
+ */
+export const parseNewsFeed = (xml) => {
+  const doc = new DOMParser().parseFromString(xml, 'application/xml')
+  if (doc.getElementsByTagName('parsererror').length > 0) {
+    throw new Error('The news feed could not be read')
+  }
+
+  const root = doc.documentElement.tagName
+  let articles
+  if (root === 'feed') {
+    articles = parseAtom(doc)
+  } else if (root === 'rss' || root === 'rdf:RDF') {
+    articles = parseRss(doc)
+  } else {
+    throw new Error('The news feed is neither RSS nor Atom')
+  }
+
+  return articles.sort((a, b) => (b.date?.getTime() || 0) - (a.date?.getTime() || 0))
+}
+
+/**
+ * Download and parse the configured RSS/Atom feed (cached)
+ * @param {RequestOptions} [options] - Request options (signal, timeout, cache)
+ * @returns {Promise<NewsArticle[]>} Articles, newest first
+ */
+const loadFeed = async (options = {}) => {
+  const { cache, signal, ...requestOptions } = options
+  // An absolute feed URL is fetched without the app's token or JSON headers (see isExternalUrl)
+  const xml = await newsCache.get(NEWS_FEED_URL, () => request(NEWS_FEED_URL, {
+    ...requestOptions,
+    headers: { Accept: 'application/rss+xml, application/atom+xml, application/xml, text/xml' }
+  }), NEWS_CACHE_POLICY, { cache, signal })
+
+  if (typeof xml !== 'string') {
+    throw new Error('The news feed could not be read')
+  }
+  return parseNewsFeed(xml)
+}
+
+/**
+ * Check whether an article belongs to a category (case-insensitive)
+ * @param {NewsArticle} article - Article
+ * @param {string} [category] - Category, or empty for all
+ * @returns {boolean} True if it matches
+ */
+const inCategory = (article, category) => {
+  return !category || article.category.toLowerCase() === category.toLowerCase()
+}
+
+/**
+ * Paginated news
+ * @typedef {Object} NewsPage
+ * @property {NewsArticle[]} items - Articles on this page, newest first
+ * @property {number} page - Zero-based page index
+ * @property {boolean} hasMore - True if more pages exist
+ */
+
+/**
+ * Get one page of tournament news
+ * API Endpoint: GET /api/news?page={page}&size={size}&category={category}
+ * (or the configured RSS/Atom feed, paged and filtered on the client)
+ * Accepts both a Spring page and a plain array from the endpoint (see parsePage).
+ * @param {Object} [params] - Paging parameters
+ * @param {number} [params.page=0] - Zero-based page index
+ * @param {number} [params.size=NEWS_PAGE_SIZE] - Page size
+ * @param {string} [params.category] - Only articles in this category
+ * @param {RequestOptions} [options] - Request options (signal, timeout, cache)
+ * @returns {Promise<NewsPage>} Page of articles
+ */
+export const getNews = async (params = {}, options = {}) => {
+  const { page = 0, size = NEWS_PAGE_SIZE, category = '' } = params
+  try {
+    if (NEWS_SOURCE === 'feed') {
+      const articles = (await loadFeed(options)).filter(article => inCategory(article, category))
+      return {
+        items: articles.slice(page * size, (page + 1) * size),
+        page,
+        hasMore: (page + 1) * size < articles.length
+      }
+    }
+
+    const { cache, signal, ...requestOptions } = options
+    const query = { page, size, category: category || undefined }
+    const key = `${NEWS_ENDPOINT}?${new URLSearchParams({ page, size, category }).toString()}`
+    const data = await newsCache.get(key, () => request(NEWS_ENDPOINT, { ...requestOptions, query }), NEWS_CACHE_POLICY, { cache, signal })
+
+    const result = parsePage(data, { page, size })
+    return { items: result.content.map(NewsArticle.fromJSON), page: result.page, hasMore: result.hasMore }
+  } catch (error) {
+    console.error('Error fetching news:', error)
+    throw error
+  }
+}
+
+/**
+ * Get a single article
+ * API Endpoint: GET /api/news/{id} (or looked up in the configured feed)
+ * @param {string} id - Article ID
+ * @param {RequestOptions} [options] - Request options (signal, timeout, cache)
+ * @returns {Promise<NewsArticle>} Article
+ * @throws {NotFoundError} When no article has this ID
+ */
+export const getNewsArticle = async (id, options = {}) => {
+  try {
+    if (NEWS_SOURCE === 'feed') {
+      const article = (await loadFeed(options)).find(item => item.id === String(id))
+      if (!article) {
+        throw new NotFoundError('This article is no longer in the news feed', { status: 404 })
+      }
+      return article
+    }
+
+    const { cache, signal, ...requestOptions } = options
+    const path = `${NEWS_ENDPOINT}/${encodeURIComponent(id)}`
+    const data = await newsCache.get(path, () => request(path, requestOptions), NEWS_CACHE_POLICY, { cache, signal })
+    return NewsArticle.fromJSON(data)
+  } catch (error) {
+    console.error('Error fetching news article:', error)
+    throw error
+  }
+}
+
+// Default export with all methods
+export default {
+  parseNewsFeed,
+  htmlToParagraphs,
+  getNews,
+  getNewsArticle
+}
+
+/**
+ * Composable function for using NewsClient in Vue components
+ * Provides reactive loading and error states along with API methods
+ */
+export const useNewsClient = () => {
+  const { loading, error, executeWithLoading } = useLoadingState()
+
+  return {
+    loading,
+    error,
+    getNews: (params, options) => executeWithLoading(() => getNews(params, options)),
+    getNewsArticle: (id, options) => executeWithLoading(() => getNewsArticle(id, options))
+  }
+}
@@ -0,0 +1,62 @@
+/**
+ * Helpers for paged list endpoints
+ *
+ * List endpoints answer with a Spring page ({ content, totalElements, number,
+ * size, last }) or, on backends without paging, a plain array.
+ */
+
+/**
+ * Normalised page
+ * @typedef {Object} Page
+ * @property {Object[]} content - Raw items of the page
+ * @property {number} total - Total number of items
+ * @property {number} page - Zero-based page index
+ * @property {number} size - Page size
+ * @property {boolean} hasMore - True if more pages exist
+ */
+
+/**
+ * Normalise a Spring page or a plain array response
+ * A plain array comes from an unpaged endpoint, so it is the complete list.
+ * @param {Object|Array} data - Response body
+ * @param {Object} [params] - The paging parameters the request was sent with
+ * @param {number} [params.page=0] - Zero-based page index
+ * @param {number} [params.size] - Page size (defaults to the number of items)
+ * @returns {Page} Page
+ */
+export const parsePage = (data, params = {}) => {
+  const { page = 0 } = params
+
+  if (Array.isArray(data)) {
+    return { content: data, total: data.length, page: 0, size: data.length, hasMore: false }
+  }
+
+  const content = Array.isArray(data?.content) ? data.content : []
+  const size = data?.size ?? params.size ?? content.length
+  const total = data?.totalElements ?? content.length
+  return {
+    content,
+    total,
+    page: data?.number ?? page,
+    size,
+    hasMore: data?.last === undefined ? (page + 1) * size < total : !data.last
+  }
+}
+
+/**
+ * Append the incoming items whose `id` is not loaded yet
+ * Items created since the previous page shift the offsets, so a new page can
+ * repeat items that are already shown.
+ * @param {Object[]} existing - Loaded items
+ * @param {Object[]} incoming - Items of the next page
+ * @returns {Object[]} New array with the unseen items appended
+ */
+export const mergeById = (existing, incoming) => {
+  const knownIds = new Set(existing.map(item => item.id))
+  return [...existing, ...incoming.filter(item => !knownIds.has(item.id))]
+}
+
+export default {
+  parsePage,
+  mergeById
+}
@@ -0,0 +1,192 @@
+import { API_BASE_URL, buildUrl } from './httpClient.js'
+import { parseComment } from './matchClient.js'
+
+// Realtime transport - 'sse', 'websocket' or 'polling' (no realtime connection)
+// You can set this via environment variable VITE_REALTIME_TRANSPORT
+export const REALTIME_TRANSPORT = (import.meta.env.VITE_REALTIME_TRANSPORT || 'polling').toLowerCase()
+
+// WebSocket URL - defaults to the API base URL with a ws:// or wss:// scheme
+export const REALTIME_WS_URL = import.meta.env.VITE_REALTIME_WS_URL ||
+  `${API_BASE_URL.replace(/^http/, 'ws')}/ws/matches`
+
+// Reconnect backoff
+const RECONNECT_BASE_DELAY = 1000
+const RECONNECT_MAX_DELAY = 30000
+
+// Failed attempts in a row before callers are told to fall back to polling
+const MAX_FAILED_ATTEMPTS = 3
+
+/**
+ * Realtime message
+ * @typedef {Object} RealtimeMessage
+ * @property {'match-update'|'comment'} type - Message type
+ * @property {number} matchId - Match the message is about
+ * @property {Object} [match] - Changed match fields (score, status, lastUpdated)
+ * @property {Object} [comment] - New comment
+ */
+
+/**
+ * Connection states reported to subscribers
+ * - connecting: opening the first connection
+ * - open: receiving updates
+ * - reconnecting: connection lost, retrying with backoff
+ * - fallback: could not connect after several attempts, callers should poll (retries continue)
+ * - closed: unsubscribed
+ * @typedef {'connecting'|'open'|'reconnecting'|'fallback'|'closed'} ConnectionState
+ */
+
+/**
+ * Check if a realtime transport is configured and supported by the browser
+ * @returns {boolean} True if subscribeToMatches() will open a connection
+ */
+export const isRealtimeEnabled = () => {
+  if (REALTIME_TRANSPORT === 'sse') return typeof EventSource !== 'undefined'
+  if (REALTIME_TRANSPORT === 'websocket') return typeof WebSocket !== 'undefined'
+  return false
+}
+
+/**
+ * Delay before the next reconnect attempt - exponential with jitter
+ * @param {number} attempt - Zero-based attempt number
+ * @returns {number} Delay in milliseconds
+ */
+export const getReconnectDelay = (attempt) => {
+  const delay = Math.min(RECONNECT_MAX_DELAY, RECONNECT_BASE_DELAY * 2 ** attempt)
+  return Math.round(delay * (0.5 + Math.random() / 2))
+}
+
+/**
+ * Parse a raw message into a RealtimeMessage
+ * @param {string} type - Message type
+ * @param {string|Object} data - JSON string or parsed payload
+ * @returns {RealtimeMessage|null} Message, or null when it cannot be read
+ */
+const parseMessage = (type, data) => {
+  try {
+    const payload = typeof data === 'string' ? JSON.parse(data) : data
+    const message = { type: payload.type || type, matchId: Number(payload.matchId) }
+    if (message.type === 'comment' && payload.comment) {
+      message.comment = parseComment(payload.comment)
+    } else if (message.type === 'match-update' && payload.match) {
+      message.match = payload.match
+    } else {
+      return null
+    }
+    return message
+  } catch (error) {
+    console.error('Ignoring malformed realtime message:', error)
+    return null
+  }
+}
+
+/**
+ * Open a Server-Sent Events connection
+ * API Endpoint: GET /api/realtime/matches?matchIds={ids} (text/event-stream)
+ * with named events `match-update` and `comment`
+ */
+const openEventSource = (matchIds, { onOpen, onMessage, onClose }) => {
+  const source = new EventSource(buildUrl('/api/realtime/matches', {
+    matchIds: matchIds?.join(',')
+  }))
+
+  source.onopen = onOpen
+  source.addEventListener('match-update', (event) => onMessage(parseMessage('match-update', event.data)))
+  source.addEventListener('comment', (event) => onMessage(parseMessage('comment', event.data)))
+  // EventSource retries on its own without backoff - take over reconnecting
+  source.onerror = () => {
+    source.close()
+    onClose()
+  }
+
+  return () => source.close()
+}
+
+/**
+ * Open a WebSocket connection
+ * Sends `{ action: 'subscribe', matchIds }` once open (matchIds omitted for
+ * all matches) and expects JSON RealtimeMessages back.
+ */
+const openWebSocket = (matchIds, { onOpen, onMessage, onClose }) => {
+  const socket = new WebSocket(REALTIME_WS_URL)
+  let closedByClient = false
+
+  socket.onopen = () => {
+    socket.send(JSON.stringify({ action: 'subscribe', ...(matchIds ? { matchIds } : {}) }))
+    onOpen()
+  }
+  socket.onmessage = (event) => onMessage(parseMessage(null, event.data))
+  socket.onclose = () => {
+    if (!closedByClient) onClose()
+  }
+
+  return () => {
+    closedByClient = true
+    socket.close()
+  }
+}
+
+/**
+ * Subscribe to score changes, status transitions and new comments
+ * Reconnects with exponential backoff when the connection drops, and reports
+ * `fallback` after repeated failures so callers can poll in the meantime.
+ * @param {Object} params - Subscription parameters
+ * @param {number[]} [params.matchIds] - Matches to follow, omit for all matches
+ * @param {function(RealtimeMessage): void} [params.onMatchUpdate] - Score or status changed
+ * @param {function(RealtimeMessage): void} [params.onComment] - New comment posted
+ * @param {function(ConnectionState): void} [params.onConnectionChange] - Connection state changed
+ * @returns {function(): void} Unsubscribe function
+ */
+export const subscribeToMatches = (params = {}) => {
+  const { matchIds, onMatchUpdate, onComment, onConnectionChange } = params
+
+  if (!isRealtimeEnabled()) {
+    onConnectionChange?.('fallback')
+    return () => {}
+  }
+
+  const open = REALTIME_TRANSPORT === 'sse' ? openEventSource : openWebSocket
+  let close = null
+  let timer = null
+  let attempt = 0
+  let active = true
+
+  const setState = (state) => onConnectionChange?.(state)
+
+  const connect = () => {
+    close = open(matchIds, {
+      onOpen: () => {
+        attempt = 0
+        setState('open')
+      },
+      onMessage: (message) => {
+        if (!message) return
+        if (message.type === 'match-update') onMatchUpdate?.(message)
+        if (message.type === 'comment') onComment?.(message)
+      },
+      onClose: () => {
+        if (!active) return
+        attempt++
+        setState(attempt >= MAX_FAILED_ATTEMPTS ? 'fallback' : 'reconnecting')
+        timer = setTimeout(connect, getReconnectDelay(attempt))
+      }
+    })
+  }
+
+  setState('connecting')
+  connect()
+
+  return () => {
+    active = false
+    clearTimeout(timer)
+    close?.()
+    setState('closed')
+  }
+}
+
+export default {
+  REALTIME_TRANSPORT,
+  REALTIME_WS_URL,
+  isRealtimeEnabled,
+  getReconnectDelay,
+  subscribeToMatches
+}
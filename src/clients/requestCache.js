@@ -0,0 +1,160 @@
+/**
+ * Cache policy for an endpoint
+ * Data is fresh for `ttl` ms. After that it is served stale for up to
+ * `staleTtl` more ms while a background request refreshes it, then it is
+ * fetched again before returning.
+ * @typedef {Object} CachePolicy
+ * @property {number} ttl - Freshness lifetime in ms
+ * @property {number} [staleTtl=0] - Stale-while-revalidate window in ms
+ */
+
+/**
+ * Key matcher for invalidation
+ * A string matches keys starting with it, a RegExp is tested against the
+ * key, and a function receives the key.
+ * @typedef {string|RegExp|function(string): boolean} KeyMatcher
+ */
+
+const createAbortError = () => new DOMException('The operation was aborted.', 'AbortError')
+
+/**
+ * Let one caller abort its wait on a shared request without cancelling it
+ * for everyone else
+ * @param {Promise<*>} promise - Shared request
+ * @param {AbortSignal} [signal] - Caller's abort signal
+ * @returns {Promise<*>} Promise rejecting with an AbortError when the signal fires
+ */
+const withSignal = (promise, signal) => {
+  if (!signal) return promise
+  if (signal.aborted) return Promise.reject(createAbortError())
+
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(createAbortError())
+    signal.addEventListener('abort', onAbort, { once: true })
+    promise
+      .then(resolve, reject)
+      .finally(() => signal.removeEventListener('abort', onAbort))
+  })
+}
+
+const toPredicate = (matcher) => {
+  if (typeof matcher === 'function') return matcher
+  if (matcher instanceof RegExp) return (key) => matcher.test(key)
+  return (key) => key.startsWith(matcher)
+}
+
+/**
+ * Create a response cache with in-flight de-duplication and stale-while-revalidate
+ * Responses are cached as returned by the loader; callers parse them on every
+ * read so each caller gets its own objects to mutate.
+ * @param {Object} [config] - Cache configuration
+ * @param {number} [config.maxEntries=200] - Oldest entries are evicted past this size
+ * @param {function(): number} [config.now=Date.now] - Clock (for tests)
+ * @returns {Object} Cache API
+ */
+export const createRequestCache = (config = {}) => {
+  const { maxEntries = 200, now = () => Date.now() } = config
+
+  // key -> { data, hasData, fetchedAt, ttl, pending }
+  const entries = new Map()
+
+  const touch = (key, entry) => {
+    entries.delete(key)
+    entries.set(key, entry)
+    if (entries.size > maxEntries) {
+      entries.delete(entries.keys().next().value)
+    }
+  }
+
+  const load = (key, loader, policy) => {
+    let entry = entries.get(key)
+    if (!entry) {
+      entry = { data: undefined, hasData: false, fetchedAt: 0, ttl: policy.ttl, pending: null }
+      touch(key, entry)
+    }
+    entry.ttl = policy.ttl
+    if (entry.pending) return entry.pending
+
+    entry.pending = loader()
+      .then((data) => {
+        entry.data = data
+        entry.hasData = true
+        entry.fetchedAt = now()
+        return data
+      })
+      .finally(() => {
+        entry.pending = null
+        // Drop entries that never got data so a failed request is retried
+        if (!entry.hasData && entries.get(key) === entry) {
+          entries.delete(key)
+        }
+      })
+    return entry.pending
+  }
+
+  return {
+    /**
+     * Read through the cache
+     * @param {string} key - Cache key
+     * @param {function(): Promise<*>} loader - Fetches the data (called without the caller's signal)
+     * @param {CachePolicy} policy - Cache policy
+     * @param {Object} [readOptions] - Read options
+     * @param {'default'|'reload'} [readOptions.cache='default'] - 'reload' skips cached data and stores the fresh response
+     * @param {AbortSignal} [readOptions.signal] - Aborts this caller's wait only
+     * @returns {Promise<*>} Cached or loaded data
+     */
+    async get(key, loader, policy, readOptions = {}) {
+      const { cache = 'default', signal } = readOptions
+      const { ttl, staleTtl = 0 } = policy
+      const entry = entries.get(key)
+
+      if (cache !== 'reload' && entry?.hasData) {
+        const age = now() - entry.fetchedAt
+        if (age < ttl) {
+          return entry.data
+        }
+        if (age < ttl + staleTtl) {
+          load(key, loader, policy).catch((error) => {
+            console.error('Background revalidation failed:', error)
+          })
+          return entry.data
+        }
+      }
+
+      return withSignal(load(key, loader, policy), signal)
+    },
+
+    /**
+     * Drop matching entries so the next read fetches again
+     * @param {KeyMatcher} matcher - Keys to drop
+     */
+    invalidate(matcher) {
+      const matches = toPredicate(matcher)
+      Array.from(entries.keys()).filter(matches).forEach(key => entries.delete(key))
+    },
+
+    /**
+     * Mark matching entries stale - the next read returns them and revalidates
+     * @param {KeyMatcher} matcher - Keys to mark
+     */
+    markStale(matcher) {
+      const matches = toPredicate(matcher)
+      entries.forEach((entry, key) => {
+        if (matches(key) && entry.hasData) {
+          entry.fetchedAt = Math.min(entry.fetchedAt, now() - entry.ttl)
+        }
+      })
+    },
+
+    /**
+     * Remove every entry
+     */
+    clear() {
+      entries.clear()
+    }
+  }
+}
+
+export default {
+  createRequestCache
+}
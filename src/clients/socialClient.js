@@ -0,0 +1,148 @@
+import User from '../models/User.js'
+import FeedItem from '../models/FeedItem.js'
+import { request } from './httpClient.js'
+import { parsePage } from './pagination.js'
+import { useLoadingState } from '../composables/useLoadingState.js'
+
+/**
+ * @typedef {import('./httpClient.js').RequestOptions} RequestOptions
+ */
+
+export const FEED_PAGE_SIZE = 12
+
+/**
+ * Get the users a user follows
+ * API Endpoint: GET /api/users/{id}/following
+ * @param {string} userId - User ID (MongoDB ObjectId)
+ * @param {RequestOptions} [options] - Request options (signal, timeout)
+ * @returns {Promise<User[]>} Followed users
+ */
+export const getFollowing = async (userId, options = {}) => {
+  try {
+    const data = await request(`/api/users/${userId}/following`, options)
+    return Array.isArray(data) ? data.map(User.fromJSON) : []
+  } catch (error) {
+    console.error('Error fetching followed users:', error)
+    throw error
+  }
+}
+
+/**
+ * Get the users following a user
+ * API Endpoint: GET /api/users/{id}/followers
+ * @param {string} userId - User ID (MongoDB ObjectId)
+ * @param {RequestOptions} [options] - Request options (signal, timeout)
+ * @returns {Promise<User[]>} Followers
+ */
+export const getFollowers = async (userId, options = {}) => {
+  try {
+    const data = await request(`/api/users/${userId}/followers`, options)
+    return Array.isArray(data) ? data.map(User.fromJSON) : []
+  } catch (error) {
+    console.error('Error fetching followers:', error)
+    throw error
+  }
+}
+
+/**
+ * Follow a user
+ * Requires authentication - JWT token must be present
+ * API Endpoint: POST /api/users/{id}/follow
+ * @param {string} userId - ID of the user to follow
+ * @param {RequestOptions} [options] - Request options (signal, timeout)
+ * @returns {Promise<void>}
+ */
+export const followUser = async (userId, options = {}) => {
+  try {
+    await request(`/api/users/${userId}/follow`, {
+      ...options,
+      method: 'POST'
+    })
+  } catch (error) {
+    console.error('Error following user:', error)
+    throw error
+  }
+}
+
+/**
+ * Unfollow a user
+ * Requires authentication - JWT token must be present
+ * API Endpoint: DELETE /api/users/{id}/follow
+ * @param {string} userId - ID of the user to unfollow
+ * @param {RequestOptions} [options] - Request options (signal, timeout)
+ * @returns {Promise<void>}
+ */
+export const unfollowUser = async (userId, options = {}) => {
+  try {
+    await request(`/api/users/${userId}/follow`, {
+      ...options,
+      method: 'DELETE'
+    })
+  } catch (error) {
+    console.error('Error unfollowing user:', error)
+    throw error
+  }
+}
+
+/**
+ * Paginated feed
+ * @typedef {Object} FeedPage
+ * @property {FeedItem[]} items - Items on this page, newest first
+ * @property {number} page - Zero-based page index
+ * @property {boolean} hasMore - True if more pages exist
+ */
+
+/**
+ * Get one page of the friends' activity feed
+ * Matches logged or commented on by the users the current user follows.
+ * Requires authentication - JWT token must be present
+ * API Endpoint: GET /api/feed?page={page}&size={size}
+ * Accepts both a Spring page and a plain array as the response (see parsePage).
+ * @param {Object} [params] - Paging parameters
+ * @param {number} [params.page=0] - Zero-based page index
+ * @param {number} [params.size=FEED_PAGE_SIZE] - Page size
+ * @param {RequestOptions} [options] - Request options (signal, timeout)
+ * @returns {Promise<FeedPage>} Page of feed items
+ */
+export const getFriendsFeed = async (params = {}, options = {}) => {
+  const { page = 0, size = FEED_PAGE_SIZE } = params
+  try {
+    const data = await request('/api/feed', {
+      ...options,
+      query: { page, size }
+    })
+
+    const result = parsePage(data, { page, size })
+    return { items: result.content.map(FeedItem.fromJSON), page: result.page, hasMore: result.hasMore }
+  } catch (error) {
+    console.error('Error fetching friends feed:', error)
+    throw error
+  }
+}
+
+// Default export with all methods
+export default {
+  getFollowing,
+  getFollowers,
+  followUser,
+  unfollowUser,
+  getFriendsFeed
+}
+
+/**
+ * Composable function for using SocialClient in Vue components
+ * Provides reactive loading and error states along with API methods
+ */
+export const useSocialClient = () => {
+  const { loading, error, executeWithLoading } = useLoadingState()
+
+  return {
+    loading,
+    error,
+    getFollowing: (userId, options) => executeWithLoading(() => getFollowing(userId, options)),
+    getFollowers: (userId, options) => executeWithLoading(() => getFollowers(userId, options)),
+    followUser: (userId, options) => executeWithLoading(() => followUser(userId, options)),
+    unfollowUser: (userId, options) => executeWithLoading(() => unfollowUser(userId, options)),
+    getFriendsFeed: (params, options) => executeWithLoading(() => getFriendsFeed(params, options))
+  }
+}
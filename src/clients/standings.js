@@ -0,0 +1,300 @@
+/**
+ * League table engine
+ *
+ * The backend has no standings endpoint, so tables are built from finished
+ * matches. Everything here is pure - pass it match data and it returns rows.
+ */
+
+// Points per result
+export const DEFAULT_POINTS = { win: 3, draw: 1, loss: 0 }
+
+/**
+ * Tie-breakers, applied in order to teams still level
+ * - points, goalDifference, goalsFor, wins: higher first
+ * - goalsAgainst: fewer first
+ * - headToHead: points, then goal difference, then goals for in the matches
+ *   between the level teams only
+ * - name: alphabetical, so the order is always stable
+ */
+export const TIE_BREAKERS = ['points', 'goalDifference', 'goalsFor', 'goalsAgainst', 'wins', 'headToHead', 'name']
+
+export const DEFAULT_TIE_BREAKERS = ['points', 'goalDifference', 'goalsFor', 'headToHead', 'name']
+
+// Statuses whose result counts
+const COUNTED_STATUSES = ['FINISHED', 'AWARDED']
+
+/**
+ * Standings row
+ * @typedef {Object} StandingsRow
+ * @property {number} position - Position in the table (1-based)
+ * @property {Object} team - Team (id, name, shortName, tla, crest)
+ * @property {number} played - Matches played
+ * @property {number} won - Wins
+ * @property {number} drawn - Draws
+ * @property {number} lost - Losses
+ * @property {number} goalsFor - Goals scored
+ * @property {number} goalsAgainst - Goals conceded
+ * @property {number} goalDifference - goalsFor - goalsAgainst
+ * @property {number} points - Points
+ * @property {Array<'W'|'D'|'L'>} form - Latest results, oldest first
+ */
+
+/**
+ * Standings options
+ * @typedef {Object} StandingsOptions
+ * @property {{win: number, draw: number, loss: number}} [points=DEFAULT_POINTS] - Points per result
+ * @property {string[]} [tieBreakers=DEFAULT_TIE_BREAKERS] - TIE_BREAKERS keys in order
+ * @property {number} [formLength=5] - Number of results in `form`
+ */
+
+/**
+ * Get the goals of a finished match, or null when it does not count
+ * @param {Object} match - Match
+ * @returns {{home: number, away: number}|null} Full-time goals
+ */
+const getCountedScore = (match) => {
+  if (!COUNTED_STATUSES.includes(match.status?.toUpperCase())) return null
+  const home = match.score?.fullTime?.home
+  const away = match.score?.fullTime?.away
+  if (typeof home !== 'number' || typeof away !== 'number') return null
+  return { home, away }
+}
+
+/**
+ * Result of a match for the home side
+ * `score.winner` wins over the goals (awarded matches keep their score).
+ * @param {Object} match - Match
+ * @param {{home: number, away: number}} score - Full-time goals
+ * @returns {'W'|'D'|'L'} Home result
+ */
+const getHomeResult = (match, score) => {
+  const winner = match.score?.winner
+  if (winner === 'HOME_TEAM') return 'W'
+  if (winner === 'AWAY_TEAM') return 'L'
+  if (winner === 'DRAW') return 'D'
+  if (score.home > score.away) return 'W'
+  if (score.home < score.away) return 'L'
+  return 'D'
+}
+
+const OPPOSITE = { W: 'L', D: 'D', L: 'W' }
+
+const createRow = (team) => ({
+  position: 0,
+  team: {
+    id: team.id,
+    name: team.name || '',
+    shortName: team.shortName || '',
+    tla: team.tla || '',
+    crest: team.crest || ''
+  },
+  played: 0,
+  won: 0,
+  drawn: 0,
+  lost: 0,
+  goalsFor: 0,
+  goalsAgainst: 0,
+  goalDifference: 0,
+  points: 0,
+  form: []
+})
+
+const applyResult = (row, result, scored, conceded, points) => {
+  row.played += 1
+  row.goalsFor += scored
+  row.goalsAgainst += conceded
+  row.goalDifference = row.goalsFor - row.goalsAgainst
+  if (result === 'W') {
+    row.won += 1
+    row.points += points.win
+  } else if (result === 'D') {
+    row.drawn += 1
+    row.points += points.draw
+  } else {
+    row.lost += 1
+    row.points += points.loss
+  }
+}
+
+/**
+ * Tally rows for the given teams from the counted matches between them
+ * @param {Object[]} matches - Matches
+ * @param {Object} points - Points per result
+ * @param {Set<number>} [onlyTeams] - Only count matches between these team IDs
+ * @returns {Map<number, StandingsRow>} Team ID -> row
+ */
+const tally = (matches, points, onlyTeams) => {
+  const rows = new Map()
+  const getRow = (team) => {
+    if (!rows.has(team.id)) rows.set(team.id, createRow(team))
+    return rows.get(team.id)
+  }
+
+  matches.forEach((match) => {
+    const { homeTeam, awayTeam } = match
+    if (!homeTeam?.id || !awayTeam?.id) return
+    if (onlyTeams && !(onlyTeams.has(homeTeam.id) && onlyTeams.has(awayTeam.id))) return
+
+    const home = getRow(homeTeam)
+    const away = getRow(awayTeam)
+    const score = getCountedScore(match)
+    if (!score) return
+
+    const result = getHomeResult(match, score)
+    applyResult(home, result, score.home, score.away, points)
+    applyResult(away, OPPOSITE[result], score.away, score.home, points)
+  })
+
+  return rows
+}
+
+/**
+ * Sort key of a row for one tie-breaker (higher ranks first)
+ * @param {string} tieBreaker - TIE_BREAKERS key
+ * @param {StandingsRow} row - Row
+ * @param {Map<number, StandingsRow>} [headToHead] - Mini-table of the level teams
+ * @returns {number[]|string} Key
+ */
+const getSortKey = (tieBreaker, row, headToHead) => {
+  switch (tieBreaker) {
+    case 'goalsAgainst':
+      return [-row.goalsAgainst]
+    case 'headToHead': {
+      const mini = headToHead.get(row.team.id)
+      return mini ? [mini.points, mini.goalDifference, mini.goalsFor] : [0, 0, 0]
+    }
+    case 'name':
+      return row.team.name.toLowerCase()
+    default:
+      return [row[tieBreaker] ?? 0]
+  }
+}
+
+const compareKeys = (a, b) => {
+  if (typeof a === 'string') return a.localeCompare(b)
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] !== b[i]) return b[i] - a[i]
+  }
+  return 0
+}
+
+/**
+ * Order rows by the tie-breakers
+ * Rows are split into buckets of teams level on the first tie-breaker, and
+ * each bucket is ordered by the remaining ones - so head-to-head only looks at
+ * the matches between teams that are actually level.
+ * @param {StandingsRow[]} rows - Rows to order
+ * @param {string[]} tieBreakers - Remaining tie-breakers
+ * @param {Object[]} matches - Matches the table is built from
+ * @param {Object} points - Points per result
+ * @returns {StandingsRow[]} Ordered rows
+ */
+const rankRows = (rows, tieBreakers, matches, points) => {
+  if (rows.length < 2 || tieBreakers.length === 0) return rows
+
+  const [tieBreaker, ...rest] = tieBreakers
+  const headToHead = tieBreaker === 'headToHead'
+    ? tally(matches, points, new Set(rows.map(row => row.team.id)))
+    : null
+
+  const keyed = rows
+    .map(row => ({ row, key: getSortKey(tieBreaker, row, headToHead) }))
+    .sort((a, b) => compareKeys(a.key, b.key))
+
+  const buckets = []
+  keyed.forEach((item) => {
+    const last = buckets[buckets.length - 1]
+    if (last && compareKeys(item.key, last[0].key) === 0) {
+      last.push(item)
+    } else {
+      buckets.push([item])
+    }
+  })
+
+  return buckets.flatMap(bucket => rankRows(bucket.map(item => item.row), rest, matches, points))
+}
+
+/**
+ * Build a league table
+ * Every team appearing in `matches` gets a row, including teams that have
+ * not played yet. Only finished (or awarded) matches with a full-time score
+ * count.
+ * @param {Object[]} matches - Matches of one league or group
+ * @param {StandingsOptions} [options] - Options
+ * @returns {StandingsRow[]} Table, top first
+ */
+export const computeStandings = (matches, options = {}) => {
+  const {
+    points = DEFAULT_POINTS,
+    tieBreakers = DEFAULT_TIE_BREAKERS,
+    formLength = 5
+  } = options
+
+  const unknown = tieBreakers.filter(tieBreaker => !TIE_BREAKERS.includes(tieBreaker))
+  if (unknown.length > 0) {
+    throw new Error(`Unknown tie-breaker: ${unknown.join(', ')}`)
+  }
+
+  const rows = tally(matches, points)
+
+  // Form, oldest first
+  matches
+    .filter(match => getCountedScore(match) && match.homeTeam?.id && match.awayTeam?.id)
+    .sort((a, b) => new Date(a.utcDate || 0) - new Date(b.utcDate || 0))
+    .forEach((match) => {
+      const result = getHomeResult(match, getCountedScore(match))
+      rows.get(match.homeTeam.id).form.push(result)
+      rows.get(match.awayTeam.id).form.push(OPPOSITE[result])
+    })
+  rows.forEach((row) => {
+    row.form = row.form.slice(-formLength)
+  })
+
+  return rankRows(Array.from(rows.values()), tieBreakers, matches, points)
+    .map((row, index) => ({ ...row, position: index + 1 }))
+}
+
+/**
+ * Result of a finished match for one team
+ * @param {Object} match - Match
+ * @param {number} teamId - Team ID
+ * @returns {'W'|'D'|'L'|null} Result, or null when the match does not count or the team did not play
+ */
+export const getTeamResult = (match, teamId) => {
+  const score = getCountedScore(match)
+  if (!score) return null
+  const result = getHomeResult(match, score)
+  if (match.homeTeam?.id === teamId) return result
+  if (match.awayTeam?.id === teamId) return OPPOSITE[result]
+  return null
+}
+
+/**
+ * Build one table per group (`Match.group`)
+ * Matches without a group (knockout rounds) are ignored.
+ * @param {Object[]} matches - Matches of one competition
+ * @param {StandingsOptions} [options] - Options
+ * @returns {{group: string, table: StandingsRow[]}[]} Tables sorted by group
+ */
+export const computeGroupStandings = (matches, options = {}) => {
+  const groups = new Map()
+  matches
+    .filter(match => match.group)
+    .forEach((match) => {
+      if (!groups.has(match.group)) groups.set(match.group, [])
+      groups.get(match.group).push(match)
+    })
+
+  return Array.from(groups.keys())
+    .sort()
+    .map(group => ({ group, table: computeStandings(groups.get(group), options) }))
+}
+
+export default {
+  DEFAULT_POINTS,
+  TIE_BREAKERS,
+  DEFAULT_TIE_BREAKERS,
+  computeStandings,
+  computeGroupStandings,
+  getTeamResult
+}
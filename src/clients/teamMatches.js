@@ -0,0 +1,117 @@
+import { getMatchesByTeamId } from './matchClient.js'
+import { getTeamResult } from './standings.js'
+import { isLiveMatch } from './liveUpdates.js'
+
+const UPCOMING_STATUSES = ['SCHEDULED', 'TIMED']
+
+const byKickoff = (a, b) => (a.utcDate?.getTime() ?? Infinity) - (b.utcDate?.getTime() ?? Infinity)
+
+/**
+ * Merge every copy of a team's info found in its matches
+ * Copies differ in how complete they are, so the first non-empty value of
+ * each field wins, newest match first.
+ * @param {Object[]} matches - Team's matches, newest first
+ * @param {number} teamId - Team ID
+ * @returns {Object|null} Team info
+ */
+const collectTeamInfo = (matches, teamId) => {
+  const copies = matches
+    .flatMap(match => [match.homeTeam, match.awayTeam])
+    .filter(team => team?.id === teamId)
+  if (copies.length === 0) return null
+
+  return copies.reduce((info, copy) => {
+    Object.entries(copy).forEach(([key, value]) => {
+      if ((info[key] === undefined || info[key] === null || info[key] === '') && value !== null && value !== '') {
+        info[key] = value
+      }
+    })
+    return info
+  }, {})
+}
+
+/**
+ * Home or away record
+ * @typedef {Object} TeamRecord
+ * @property {number} played - Matches played
+ * @property {number} won - Wins
+ * @property {number} drawn - Draws
+ * @property {number} lost - Losses
+ * @property {number} goalsFor - Goals scored
+ * @property {number} goalsAgainst - Goals conceded
+ */
+
+/**
+ * Sum up a team's finished matches
+ * @param {Object[]} matches - Finished matches
+ * @param {number} teamId - Team ID
+ * @returns {TeamRecord} Record
+ */
+export const summarizeRecord = (matches, teamId) => {
+  return matches.reduce((record, match) => {
+    const result = getTeamResult(match, teamId)
+    if (!result) return record
+
+    const isHome = match.homeTeam?.id === teamId
+    const { home, away } = match.score.fullTime
+    record.played += 1
+    record.goalsFor += isHome ? home : away
+    record.goalsAgainst += isHome ? away : home
+    if (result === 'W') record.won += 1
+    else if (result === 'D') record.drawn += 1
+    else record.lost += 1
+    return record
+  }, { played: 0, won: 0, drawn: 0, lost: 0, goalsFor: 0, goalsAgainst: 0 })
+}
+
+/**
+ * Team overview
+ * @typedef {Object} TeamOverview
+ * @property {Object|null} team - Team info (name, crest, venue, founded, clubColors, website, address...)
+ * @property {Object[]} live - Matches in play
+ * @property {Object[]} upcoming - Fixtures, soonest first
+ * @property {Object[]} results - Finished matches, newest first
+ * @property {{result: 'W'|'D'|'L', match: Object}[]} form - Last five results, oldest first
+ * @property {{home: TeamRecord, away: TeamRecord}} split - Home and away records
+ * @property {Object[]} competitions - Competitions the team plays in
+ */
+
+/**
+ * Get a team's overview from its matches
+ * There is no team endpoint, so the team info is read off its matches.
+ * @param {number} teamId - Team ID
+ * @param {RequestOptions} [options] - Request options (signal, timeout, cache)
+ * @returns {Promise<TeamOverview>} Overview
+ */
+export const getTeamOverview = async (teamId, options = {}) => {
+  const id = Number(teamId)
+  const matches = (await getMatchesByTeamId(id, options)).sort(byKickoff)
+  const newestFirst = [...matches].reverse()
+
+  const results = newestFirst.filter(match => getTeamResult(match, id))
+  const competitions = new Map()
+  matches.forEach((match) => {
+    if (match.competition?.code) competitions.set(match.competition.code, match.competition)
+  })
+
+  return {
+    team: collectTeamInfo(newestFirst, id),
+    live: matches.filter(isLiveMatch),
+    upcoming: matches.filter(match => UPCOMING_STATUSES.includes(match.status)),
+    results,
+    form: results
+      .slice(0, 5)
+      .reverse()
+      .map(match => ({ result: getTeamResult(match, id), match })),
+    split: {
+      home: summarizeRecord(results.filter(match => match.homeTeam?.id === id), id),
+      away: summarizeRecord(results.filter(match => match.awayTeam?.id === id), id)
+    },
+    competitions: Array.from(competitions.values())
+  }
+}
+
+export default {
+  summarizeRecord,
+  getTeamOverview
+}
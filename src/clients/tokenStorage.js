@@ -0,0 +1,127 @@
+// Token storage keys
+export const TOKEN_KEY = 'matchlog_auth_token'
+export const USER_KEY = 'matchlog_user_data'
+
+/**
+ * Storage backend - anything with the Web Storage getItem/setItem/removeItem API
+ * @typedef {Object} StorageBackend
+ * @property {function(string): (string|null)} getItem
+ * @property {function(string, string): void} setItem
+ * @property {function(string): void} removeItem
+ */
+
+/**
+ * Create an in-memory storage backend (for tests and non-browser environments)
+ * @returns {StorageBackend} Memory backed storage
+ */
+export const createMemoryStorage = () => {
+  const items = new Map()
+  return {
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => { items.set(key, String(value)) },
+    removeItem: (key) => { items.delete(key) }
+  }
+}
+
+// "Remember me" on  -> persistent backend (survives closing the browser)
+// "Remember me" off -> session backend (cleared when the tab is closed)
+let backends = {
+  persistent: typeof localStorage !== 'undefined' ? localStorage : createMemoryStorage(),
+  session: typeof sessionStorage !== 'undefined' ? sessionStorage : createMemoryStorage()
+}
+
+// Pick up an existing persistent login after a reload
+let persistent = !!backends.persistent.getItem(TOKEN_KEY)
+
+/**
+ * Replace the storage backends
+ * Pass memory storages in tests: `setTokenStorage({ persistent: createMemoryStorage(), session: createMemoryStorage() })`
+ * @param {Object} nextBackends - Backends
+ * @param {StorageBackend} nextBackends.persistent - Used when "remember me" is on
+ * @param {StorageBackend} nextBackends.session - Used when "remember me" is off
+ */
+export const setTokenStorage = (nextBackends) => {
+  backends = { ...backends, ...nextBackends }
+  persistent = !!backends.persistent.getItem(TOKEN_KEY)
+}
+
+/**
+ * Choose where the next token and user data are written
+ * @param {boolean} remember - True for persistent storage, false for session storage
+ */
+export const setRememberMe = (remember) => {
+  persistent = !!remember
+}
+
+/**
+ * Check whether the current session is persisted across browser restarts
+ * @returns {boolean} True if "remember me" is on
+ */
+export const isRemembered = () => persistent
+
+/**
+ * Read an item, looking in the session backend first
+ * @param {string} key - Storage key
+ * @returns {string|null} Stored value or null
+ */
+export const getStoredItem = (key) => {
+  return backends.session.getItem(key) ?? backends.persistent.getItem(key)
+}
+
+/**
+ * Write an item to the active backend and drop stale copies from the other
+ * @param {string} key - Storage key
+ * @param {string} value - Value
+ */
+export const setStoredItem = (key, value) => {
+  const target = persistent ? backends.persistent : backends.session
+  const other = persistent ? backends.session : backends.persistent
+  other.removeItem(key)
+  target.setItem(key, value)
+}
+
+/**
+ * Remove an item from every backend
+ * @param {string} key - Storage key
+ */
+export const removeStoredItem = (key) => {
+  Object.values(backends).forEach(backend => backend.removeItem(key))
+}
+
+/**
+ * Store authentication token
+ * @param {string} token - JWT token
+ */
+export const storeToken = (token) => {
+  setStoredItem(TOKEN_KEY, token)
+}
+
+/**
+ * Get stored authentication token
+ * @returns {string|null} Token or null
+ */
+export const getToken = () => {
+  return getStoredItem(TOKEN_KEY)
+}
+
+/**
+ * Remove authentication token
+ */
+export const removeToken = () => {
+  removeStoredItem(TOKEN_KEY)
+}
+
+export default {
+  TOKEN_KEY,
+  USER_KEY,
+  createMemoryStorage,
+  setTokenStorage,
+  setRememberMe,
+  isRemembered,
+  getStoredItem,
+  setStoredItem,
+  removeStoredItem,
+  storeToken,
+  getToken,
+  removeToken
+}
@@ -0,0 +1,93 @@
+import User from '../models/User.js'
+import { request } from './httpClient.js'
+import { useLoadingState } from '../composables/useLoadingState.js'
+
+/**
+ * @typedef {import('./httpClient.js').RequestOptions} RequestOptions
+ */
+
+/**
+ * Get all users
+ * Requires ADMIN or MODERATOR role
+ * API Endpoint: GET /api/users
+ * @param {RequestOptions} [options] - Request options (signal, timeout)
+ * @returns {Promise<User[]>} List of users
+ */
+export const getUsers = async (options = {}) => {
+  try {
+    const data = await request('/api/users', options)
+    return Array.isArray(data) ? data.map(User.fromJSON) : []
+  } catch (error) {
+    console.error('Error fetching users:', error)
+    throw error
+  }
+}
+
+/**
+ * Get a user's public profile by username
+ * API Endpoint: GET /api/users/username/{username}
+ * @param {string} username - Username
+ * @param {RequestOptions} [options] - Request options (signal, timeout)
+ * @returns {Promise<User>} User
+ * @throws {import('./apiErrors.js').NotFoundError} When no user has that username
+ */
+export const getUserByUsername = async (username, options = {}) => {
+  try {
+    const data = await request(`/api/users/username/${encodeURIComponent(username)}`, options)
+    return User.fromJSON(data || {})
+  } catch (error) {
+    console.error('Error fetching user by username:', error)
+    throw error
+  }
+}
+
+/**
+ * Update the current user's profile
+ * Requires authentication - users may only edit their own profile
+ * API Endpoint: PUT /api/users/{id}
+ * @param {string} userId - User ID (MongoDB ObjectId)
+ * @param {Object} profileData - Profile fields to change
+ * @param {string|null} [profileData.profilePicture] - Profile picture URL
+ * @param {string} [profileData.bio] - Short text shown on the profile
+ * @param {RequestOptions} [options] - Request options (signal, timeout)
+ * @returns {Promise<User>} Updated user
+ */
+export const updateUserProfile = async (userId, profileData, options = {}) => {
+  try {
+    const data = await request(`/api/users/${userId}`, {
+      ...options,
+      method: 'PUT',
+      body: {
+        profilePicture: profileData.profilePicture || null,
+        bio: (profileData.bio || '').trim()
+      }
+    })
+    return User.fromJSON(data || {})
+  } catch (error) {
+    console.error('Error updating user profile:', error)
+    throw error
+  }
+}
+
+// Default export with all methods
+export default {
+  getUsers,
+  getUserByUsername,
+  updateUserProfile
+}
+
+/**
+ * Composable function for using UserClient in Vue components
+ * Provides reactive loading and error states along with API methods
+ */
+export const useUserClient = () => {
+  const { loading, error, executeWithLoading } = useLoadingState()
+
+  return {
+    loading,
+    error,
+    getUsers: (options) => executeWithLoading(() => getUsers(options)),
+    getUserByUsername: (username, options) => executeWithLoading(() => getUserByUsername(username, options)),
+    updateUserProfile: (userId, profileData, options) => executeWithLoading(() => updateUserProfile(userId, profileData, options))
+  }
+}
@@ -0,0 +1,137 @@
+import { getUserByUsername } from './userClient.js'
+import { getCommentsByUser, getMatchesByIds } from './matchClient.js'
+import { getUserLog, attachLogMatches, summarizeLog } from './matchLogClient.js'
+import { getFollowers, getFollowing } from './socialClient.js'
+import { UnauthorizedError, ForbiddenError } from './apiErrors.js'
+import { isAuthenticated } from './authClient.js'
+
+// Entries shown in the "most watched" lists and the activity timeline
+const TOP_LIMIT = 5
+const ACTIVITY_LIMIT = 20
+
+/**
+ * Count how often teams and competitions appear in logged matches
+ * @param {LogEntry[]} entries - Entries with their match attached
+ * @returns {{teams: {team: Object, count: number}[], competitions: {competition: Object, count: number}[]}} Most watched first
+ */
+export const countMostWatched = (entries) => {
+  const teams = new Map()
+  const competitions = new Map()
+  const bump = (map, key, value, field) => {
+    const current = map.get(key) || { [field]: value, count: 0 }
+    current.count += 1
+    map.set(key, current)
+  }
+
+  entries.forEach(({ match }) => {
+    if (!match) return
+    ;[match.homeTeam, match.awayTeam].forEach((team) => {
+      if (team?.id) bump(teams, team.id, team, 'team')
+    })
+    if (match.competition?.code) bump(competitions, match.competition.code, match.competition, 'competition')
+  })
+
+  const byCount = (a, b) => b.count - a.count
+  return {
+    teams: Array.from(teams.values()).sort(byCount).slice(0, TOP_LIMIT),
+    competitions: Array.from(competitions.values()).sort(byCount).slice(0, TOP_LIMIT)
+  }
+}
+
+/**
+ * Activity timeline item
+ * @typedef {Object} ActivityItem
+ * @property {'comment'|'log'} type - What the user did
+ * @property {Date|null} date - When
+ * @property {Object|null} match - Match it happened on
+ * @property {CommentRef} [comment] - Comment, for 'comment' items
+ * @property {LogEntry} [entry] - Log entry, for 'log' items
+ */
+
+/**
+ * Merge comments and log entries into one timeline
+ * @param {CommentRef[]} comments - Comments with their match attached
+ * @param {LogEntry[]} entries - Log entries with their match attached
+ * @param {number} [limit=ACTIVITY_LIMIT] - Maximum number of items
+ * @returns {ActivityItem[]} Newest first
+ */
+export const buildActivity = (comments, entries, limit = ACTIVITY_LIMIT) => {
+  const dayStart = (key) => {
+    if (!key) return null
+    const [year, month, day] = key.split('-').map(Number)
+    return new Date(year, month - 1, day)
+  }
+
+  return [
+    ...comments.map(comment => ({ type: 'comment', date: comment.createdAt, match: comment.match, comment })),
+    ...entries.map(entry => ({ type: 'log', date: entry.createdAt || dayStart(entry.watchedOn), match: entry.match, entry }))
+  ]
+    .sort((a, b) => (b.date?.getTime() || 0) - (a.date?.getTime() || 0))
+    .slice(0, limit)
+}
+
+/**
+ * User profile
+ * @typedef {Object} UserProfile
+ * @property {User} user - User
+ * @property {CommentRef[]} comments - Comments with their match, newest first
+ * @property {LogEntry[]|null} log - Log entries, or null when the log is not visible
+ * @property {User[]} followers - Users following this user
+ * @property {User[]} following - Users this user follows
+ * @property {{comments: number, logged: number, attended: number, averageRating: number|null}} stats - Totals
+ * @property {{team: Object, count: number}[]} topTeams - Most watched teams
+ * @property {{competition: Object, count: number}[]} topCompetitions - Most watched competitions
+ * @property {ActivityItem[]} activity - Recent activity
+ */
+
+/**
+ * Get everything shown on a user's profile page
+ * @param {string} username - Username
+ * @param {RequestOptions} [options] - Request options (signal, timeout)
+ * @returns {Promise<UserProfile>} Profile
+ */
+export const getUserProfile = async (username, options = {}) => {
+  const user = await getUserByUsername(username, options)
+
+  const [comments, log, followers, following] = await Promise.all([
+    getCommentsByUser(user.id, options),
+    // A log the viewer is not allowed to see (403) is left out rather than failing
+    // the page. A 401 only means "private" for a logged-out viewer; with a token
+    // it is an expired session, which httpClient's onUnauthorized handler ends.
+    getUserLog(user.id, options).catch((error) => {
+      if (error instanceof ForbiddenError) return null
+      if (error instanceof UnauthorizedError && !isAuthenticated()) return null
+      throw error
+    }),
+    getFollowers(user.id, options),
+    getFollowing(user.id, options)
+  ])
+
+  const entries = log || []
+  const [matches] = await Promise.all([
+    getMatchesByIds(comments.map(comment => comment.eventId).filter(Boolean), options),
+    attachLogMatches(entries, options)
+  ])
+  const commentsWithMatch = comments.map(comment => ({ ...comment, match: matches.get(Number(comment.eventId)) || null }))
+
+  const { logged, attended, averageRating } = summarizeLog(entries)
+  const { teams, competitions } = countMostWatched(entries)
+
+  return {
+    user,
+    comments: commentsWithMatch,
+    log,
+    followers,
+    following,
+    stats: { comments: comments.length, logged, attended, averageRating },
+    topTeams: teams,
+    topCompetitions: competitions,
+    activity: buildActivity(commentsWithMatch, entries)
+  }
+}
+
+export default {
+  countMostWatched,
+  buildActivity,
+  getUserProfile
+}
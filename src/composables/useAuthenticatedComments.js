@@ -1,6 +1,7 @@
 import { computed } from 'vue'
 import { authStore } from '../store/authStore.js'
-import { createComment } from './eventClient.js'
+import { createComment } from '../clients/matchClient.js'
+import { UnauthorizedError } from '../clients/apiErrors.js'
 
 /**
  * Composable for managing comments with authentication
@@ -17,11 +18,11 @@ export const useAuthenticatedComments = () => {
    * @param {string} commentData.text - Comment text
    * @param {number} commentData.eventId - Event ID
    * @returns {Promise<Object>} Created comment
-   * @throws {Error} If user is not authenticated
+   * @throws {UnauthorizedError} If user is not authenticated
    */
   const createAuthenticatedComment = async (commentData) => {
     if (!isAuthenticated.value || !currentUserId.value) {
-      throw new Error('You must be logged in to create a comment')
+      throw new UnauthorizedError('You must be logged in to create a comment')
     }
 
     return await createComment({
@@ -0,0 +1,41 @@
+import { ref } from 'vue'
+import { isAbortError } from '../clients/httpClient.js'
+
+/**
+ * Composable for tracking the loading and error state of API calls
+ * Shared by the useXClient composables
+ */
+export const useLoadingState = () => {
+  const loading = ref(false)
+  const error = ref(null)
+
+  /**
+   * Run an API call, setting `loading` while it runs and `error` if it fails
+   * @param {Function} apiCall - Function returning the request promise
+   * @returns {Promise<*>} Result of the call
+   */
+  const executeWithLoading = async (apiCall) => {
+    loading.value = true
+    error.value = null
+    try {
+      const result = await apiCall()
+      return result
+    } catch (err) {
+      // A cancelled request is not an error worth showing
+      if (!isAbortError(err)) {
+        error.value = err.message || 'An error occurred'
+      }
+      throw err
+    } finally {
+      loading.value = false
+    }
+  }
+
+  return {
+    loading,
+    error,
+    executeWithLoading
+  }
+}
+
+export default useLoadingState
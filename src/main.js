@@ -2,5 +2,23 @@ import { createApp } from 'vue'
 import './style.css'
 import App from './App.vue'
 import router from './router'
+import { startAuthSync } from './store/authStore.js'
+import { startOutboxSync } from './clients/commentOutbox.js'
+
+// Mirror login/logout between open tabs
+startAuthSync()
+
+// Send comments written while offline once the connection is back
+startOutboxSync()
+
+// Keep the app shell available offline (production builds only - the dev
+// server serves unbundled modules the worker does not cache)
+if ('serviceWorker' in navigator && import.meta.env.PROD) {
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register('/sw.js').catch((error) => {
+      console.error('Service worker registration failed:', error)
+    })
+  })
+}
 
 createApp(App).use(router).mount('#app')
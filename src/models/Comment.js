@@ -1,3 +1,44 @@
+/**
+ * Normalize the reactions on a comment from the API
+ * The API sends `reactions` as a map of emoji to either a count or the IDs of
+ * the users who reacted; missing or malformed data yields empty maps.
+ * @param {Object<string, number|string[]>} [raw] - Raw reactions
+ * @returns {{reactions: Object<string, number>, reactedBy: Object<string, string[]>}} Counts and user IDs per emoji
+ */
+export const parseReactions = (raw) => {
+  const reactions = {}
+  const reactedBy = {}
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    return { reactions, reactedBy }
+  }
+
+  Object.entries(raw).forEach(([emoji, value]) => {
+    if (Array.isArray(value)) {
+      reactedBy[emoji] = value.map(String)
+      reactions[emoji] = value.length
+    } else if (Number(value) > 0) {
+      reactions[emoji] = Number(value)
+    }
+  })
+  return { reactions, reactedBy }
+}
+
+/**
+ * Turn counts and user IDs back into the API's reactions map
+ * Emojis with known users keep their IDs, so `parseReactions` restores
+ * `reactedBy` (e.g. for matches saved for offline use).
+ * @param {Object<string, number>} reactions - Counts per emoji
+ * @param {Object<string, string[]>} [reactedBy] - User IDs per emoji
+ * @returns {Object<string, number|string[]>} Raw reactions
+ */
+export const serializeReactions = (reactions, reactedBy = {}) => {
+  const raw = {}
+  Object.entries(reactions).forEach(([emoji, count]) => {
+    raw[emoji] = reactedBy[emoji]?.length === count ? [...reactedBy[emoji]] : count
+  })
+  return raw
+}
+
 /**
  * Comment class representing a comment on a match
  */
@@ -12,6 +53,8 @@ export class Comment {
    * @param {string} data.username - Username
    * @param {string} data.userEmail - User email
    * @param {number} data.eventId - Match ID (still called eventId for API compatibility)
+   * @param {string|null} [data.parentId] - ID of the comment this replies to
+   * @param {Object<string, number|string[]>} [data.reactions] - Reactions per emoji
    */
   constructor(data = {}) {
     this.id = data.id || '' // Changed from number to string (MongoDB ObjectId)
@@ -21,6 +64,29 @@ export class Comment {
     this.username = data.username || ''
     this.userEmail = data.userEmail || ''
     this.eventId = data.eventId || null // Still called eventId, refers to matchId
+    this.parentId = data.parentId || null
+
+    const { reactions, reactedBy } = parseReactions(data.reactions)
+    this.reactions = reactions // emoji -> count
+    this.reactedBy = reactedBy // emoji -> user IDs (when the API sends them)
+  }
+
+  /**
+   * Check if this comment is a reply to another comment
+   * @returns {boolean} True if the comment has a parent
+   */
+  isReply() {
+    return !!this.parentId
+  }
+
+  /**
+   * Check if a user reacted with an emoji
+   * @param {string} emoji - Reaction emoji
+   * @param {string} userId - User ID
+   * @returns {boolean} True if the user reacted with the emoji
+   */
+  hasReacted(emoji, userId) {
+    return !!userId && (this.reactedBy[emoji] || []).includes(String(userId))
   }
 
   /**
@@ -50,7 +116,9 @@ export class Comment {
       userId: this.userId,
       username: this.username,
       userEmail: this.userEmail,
-      eventId: this.eventId
+      eventId: this.eventId,
+      parentId: this.parentId,
+      reactions: serializeReactions(this.reactions, this.reactedBy)
     }
   }
 
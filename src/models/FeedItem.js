@@ -0,0 +1,70 @@
+import { Match } from './Match.js'
+import { MIN_RATING, MAX_RATING } from './LogEntry.js'
+
+// What a followed user did
+export const FEED_ITEM_TYPES = ['LOG', 'COMMENT']
+
+/**
+ * FeedItem class representing one entry of the friends' activity feed
+ */
+export class FeedItem {
+  /**
+   * Create a new FeedItem instance
+   * @param {Object} data - Feed item data
+   * @param {string} data.id - Item ID
+   * @param {'LOG'|'COMMENT'} data.type - Logged the match or commented on it
+   * @param {Date|string} data.createdAt - When it happened
+   * @param {Object} data.user - Who did it ({ id, username, profilePicture })
+   * @param {Object} data.match - Match summary
+   * @param {Object} [data.log] - Log details for 'LOG' items ({ type, rating, review, watchedOn })
+   * @param {Object} [data.comment] - Comment for 'COMMENT' items ({ id, text })
+   */
+  constructor(data = {}) {
+    this.id = data.id || ''
+    this.type = FEED_ITEM_TYPES.includes(data.type) ? data.type : 'LOG'
+    this.createdAt = data.createdAt ? new Date(data.createdAt) : null
+    this.user = {
+      id: data.user?.id || '',
+      username: data.user?.username || '',
+      profilePicture: data.user?.profilePicture || null
+    }
+    this.match = data.match ? new Match(data.match) : null
+    this.log = data.log
+      ? {
+          type: data.log.type === 'ATTENDED' ? 'ATTENDED' : 'WATCHED',
+          rating: Number(data.log.rating) >= MIN_RATING && Number(data.log.rating) <= MAX_RATING ? Number(data.log.rating) : null,
+          review: data.log.review || '',
+          watchedOn: data.log.watchedOn || null
+        }
+      : null
+    this.comment = data.comment ? { id: data.comment.id || '', text: data.comment.text || '' } : null
+  }
+
+  /**
+   * Check if this item is a comment
+   * @returns {boolean} True for comments
+   */
+  isComment() {
+    return this.type === 'COMMENT'
+  }
+
+  /**
+   * Short description of what happened, e.g. 'attended'
+   * @returns {string} Action label
+   */
+  getActionLabel() {
+    if (this.isComment()) return 'commented on'
+    return this.log?.type === 'ATTENDED' ? 'attended' : 'watched'
+  }
+
+  /**
+   * Create FeedItem instance from API response
+   * @param {Object} data - API response data
+   * @returns {FeedItem} FeedItem instance
+   */
+  static fromJSON(data) {
+    return new FeedItem(data)
+  }
+}
+
+export default FeedItem
@@ -0,0 +1,94 @@
+import { Match } from './Match.js'
+
+// How a match was followed: on a screen or in the stadium
+export const LOG_TYPES = ['WATCHED', 'ATTENDED']
+
+export const MIN_RATING = 1
+export const MAX_RATING = 5
+export const REVIEW_MAX_LENGTH = 500
+
+/**
+ * LogEntry class representing a match in a user's diary
+ */
+export class LogEntry {
+  /**
+   * Create a new LogEntry instance
+   * @param {Object} data - Log entry data
+   * @param {string} data.id - Entry ID (MongoDB ObjectId)
+   * @param {string} data.userId - User ID (MongoDB ObjectId)
+   * @param {string} [data.username] - Username
+   * @param {number} data.matchId - Match ID
+   * @param {'WATCHED'|'ATTENDED'} [data.type] - Watched or attended in the stadium
+   * @param {number|null} [data.rating] - Rating from 1 to 5
+   * @param {string} [data.review] - Short review
+   * @param {string} [data.watchedOn] - Day the match was seen, 'yyyy-MM-dd'
+   * @param {Date|string} [data.createdAt] - Creation date
+   * @param {Date|string} [data.updatedAt] - Last update date
+   * @param {Object} [data.match] - Match summary, when the API embeds it
+   */
+  constructor(data = {}) {
+    this.id = data.id || ''
+    this.userId = data.userId || ''
+    this.username = data.username || ''
+    this.matchId = data.matchId != null ? Number(data.matchId) : null
+    this.type = LOG_TYPES.includes(data.type) ? data.type : 'WATCHED'
+    this.rating = Number(data.rating) >= MIN_RATING && Number(data.rating) <= MAX_RATING ? Number(data.rating) : null
+    this.review = data.review || ''
+    this.watchedOn = data.watchedOn ? String(data.watchedOn).slice(0, 10) : null
+    this.createdAt = data.createdAt ? new Date(data.createdAt) : null
+    this.updatedAt = data.updatedAt ? new Date(data.updatedAt) : null
+    this.match = data.match ? new Match(data.match) : null
+  }
+
+  /**
+   * Check if the match was attended in the stadium
+   * @returns {boolean} True if attended
+   */
+  isAttended() {
+    return this.type === 'ATTENDED'
+  }
+
+  /**
+   * Get the formatted day the match was seen
+   * @returns {string} Formatted date string
+   */
+  getFormattedDate() {
+    if (!this.watchedOn) return ''
+    const [year, month, day] = this.watchedOn.split('-').map(Number)
+    return new Date(year, month - 1, day).toLocaleDateString('en-US', {
+      year: 'numeric',
+      month: 'short',
+      day: 'numeric'
+    })
+  }
+
+  /**
+   * Convert entry to plain object (for API requests)
+   * @returns {Object} Plain object representation
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      userId: this.userId,
+      username: this.username,
+      matchId: this.matchId,
+      type: this.type,
+      rating: this.rating,
+      review: this.review,
+      watchedOn: this.watchedOn,
+      createdAt: this.createdAt?.toISOString(),
+      updatedAt: this.updatedAt?.toISOString()
+    }
+  }
+
+  /**
+   * Create LogEntry instance from API response
+   * @param {Object} data - API response data
+   * @returns {LogEntry} LogEntry instance
+   */
+  static fromJSON(data) {
+    return new LogEntry(data)
+  }
+}
+
+export default LogEntry
@@ -1,3 +1,5 @@
+import { parseReactions, serializeReactions } from './Comment.js'
+
 /**
  * Match class representing a football match with all nested data
  */
@@ -273,6 +275,29 @@ export class CommentRef {
     this.createdAt = data.createdAt ? new Date(data.createdAt) : null
     this.userId = data.userId || '' // MongoDB ObjectId as string
     this.username = data.username || ''
+    this.parentId = data.parentId || null
+
+    const { reactions, reactedBy } = parseReactions(data.reactions)
+    this.reactions = reactions
+    this.reactedBy = reactedBy
+  }
+
+  /**
+   * Check if this comment is a reply to another comment
+   * @returns {boolean} True if the comment has a parent
+   */
+  isReply() {
+    return !!this.parentId
+  }
+
+  /**
+   * Check if a user reacted with an emoji
+   * @param {string} emoji - Reaction emoji
+   * @param {string} userId - User ID
+   * @returns {boolean} True if the user reacted with the emoji
+   */
+  hasReacted(emoji, userId) {
+    return !!userId && (this.reactedBy[emoji] || []).includes(String(userId))
   }
 
   /**
@@ -296,7 +321,9 @@ export class CommentRef {
       text: this.text,
       createdAt: this.createdAt?.toISOString(),
       userId: this.userId,
-      username: this.username
+      username: this.username,
+      parentId: this.parentId,
+      reactions: serializeReactions(this.reactions, this.reactedBy)
     }
   }
 }
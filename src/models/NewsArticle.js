@@ -0,0 +1,100 @@
+/**
+ * Keep a URL only when it is an absolute http(s) URL
+ * Feed links end up in `href`/`src`, so `javascript:` or `data:` URLs must not get through.
+ * @param {string} [value] - URL from the API or a feed
+ * @returns {string|null} URL, or null
+ */
+const toWebUrl = (value) => {
+  if (!value) return null
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol) ? value : null
+  } catch {
+    return null
+  }
+}
+
+/**
+ * NewsArticle class representing one story of the tournament news feed
+ */
+export class NewsArticle {
+  /**
+   * Create a new NewsArticle instance
+   * @param {Object} data - Article data
+   * @param {string} data.id - Article ID (assigned by the client for RSS/Atom items)
+   * @param {string} data.title - Headline
+   * @param {string} [data.excerpt] - Short plain-text summary
+   * @param {string} [data.content] - Plain-text body, paragraphs separated by blank lines
+   * @param {string} [data.image] - Image URL (http/https only)
+   * @param {Date|string} [data.date] - Publication date
+   * @param {string} [data.category] - Category shown on the badge (e.g. 'Football')
+   * @param {string} [data.author] - Author name
+   * @param {string} [data.link] - URL of the original story (http/https only)
+   * @param {string} [data.source] - Name of the publishing feed or site
+   */
+  constructor(data = {}) {
+    this.id = data.id != null ? String(data.id) : ''
+    this.title = data.title || ''
+    this.excerpt = data.excerpt || ''
+    this.content = data.content || ''
+    this.image = toWebUrl(data.image)
+    // Feeds carry free-form dates - drop ones that do not parse
+    const date = data.date ? new Date(data.date) : null
+    this.date = date && !Number.isNaN(date.getTime()) ? date : null
+    this.category = data.category || ''
+    this.author = data.author || ''
+    this.link = toWebUrl(data.link)
+    this.source = data.source || ''
+  }
+
+  /**
+   * Split the body into paragraphs, falling back to the excerpt
+   * @returns {string[]} Paragraphs
+   */
+  getParagraphs() {
+    const text = this.content || this.excerpt
+    return text.split(/\n\s*\n/).map(paragraph => paragraph.trim()).filter(Boolean)
+  }
+
+  /**
+   * Get formatted publication date
+   * @returns {string} Formatted date string, or '' when unknown
+   */
+  getFormattedDate() {
+    if (!this.date) return ''
+    return this.date.toLocaleDateString('en-US', {
+      month: 'short',
+      day: 'numeric',
+      year: 'numeric'
+    })
+  }
+
+  /**
+   * Convert to plain object
+   * @returns {Object} Plain object representation
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      title: this.title,
+      excerpt: this.excerpt,
+      content: this.content,
+      image: this.image,
+      date: this.date?.toISOString() || null,
+      category: this.category,
+      author: this.author,
+      link: this.link,
+      source: this.source
+    }
+  }
+
+  /**
+   * Create NewsArticle instance from API response
+   * @param {Object} data - API response data
+   * @returns {NewsArticle} NewsArticle instance
+   */
+  static fromJSON(data) {
+    return new NewsArticle(data)
+  }
+}
+
+export default NewsArticle
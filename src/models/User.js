@@ -10,6 +10,7 @@ export class User {
    * @param {string} data.email - User email
    * @param {string[]} [data.roles] - User roles for authorization
    * @param {string} [data.profilePicture] - Profile picture URL
+   * @param {string} [data.bio] - Short text shown on the profile
    * @param {Date|string} [data.createdAt] - Account creation date
    */
   constructor(data = {}) {
@@ -18,6 +19,7 @@ export class User {
     this.email = data.email || ''
     this.roles = data.roles || ['USER']
     this.profilePicture = data.profilePicture || null
+    this.bio = data.bio || ''
     this.createdAt = data.createdAt ? new Date(data.createdAt) : null
   }
 
@@ -80,6 +82,7 @@ export class User {
       email: this.email,
       roles: this.roles,
       profilePicture: this.profilePicture,
+      bio: this.bio,
       createdAt: this.createdAt
     }
   }
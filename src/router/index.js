@@ -4,7 +4,26 @@ import About from '../views/About.vue'
 import MatchDetail from '../views/MatchDetail.vue'
 import Login from '../views/Login.vue'
 import Register from '../views/Register.vue'
-import { isAuthenticated } from '../clients/authClient.js'
+import Admin from '../views/Admin.vue'
+import Forbidden from '../views/Forbidden.vue'
+import Calendar from '../views/Calendar.vue'
+import CompetitionDetail from '../views/CompetitionDetail.vue'
+import TeamDetail from '../views/TeamDetail.vue'
+import MatchLog from '../views/MatchLog.vue'
+import UserProfile from '../views/UserProfile.vue'
+import NewsArticle from '../views/NewsArticle.vue'
+import {
+  isAuthenticated,
+  hasExpiredToken,
+  logout,
+  verifyToken,
+  getStoredUser,
+  getCurrentClaims,
+  watchSession,
+  refreshSessionTimers
+} from '../clients/authClient.js'
+import { onUnauthorized } from '../clients/httpClient.js'
+import { authStore, setUser, clearUser, onAuthChange } from '../store/authStore.js'
 
 const routes = [
   {
@@ -17,6 +36,21 @@ const routes = [
     name: 'About',
     component: About
   },
+  {
+    path: '/calendar',
+    name: 'Calendar',
+    component: Calendar
+  },
+  {
+    path: '/competition/:code',
+    name: 'Competition',
+    component: CompetitionDetail
+  },
+  {
+    path: '/team/:id',
+    name: 'Team',
+    component: TeamDetail
+  },
   {
     path: '/login',
     name: 'Login',
@@ -34,6 +68,33 @@ const routes = [
     name: 'MatchDetail',
     component: MatchDetail,
     meta: { requiresAuth: true }
+  },
+  {
+    path: '/user/:username',
+    name: 'UserProfile',
+    component: UserProfile
+  },
+  {
+    path: '/news/:id',
+    name: 'NewsArticle',
+    component: NewsArticle
+  },
+  {
+    path: '/me/log',
+    name: 'MatchLog',
+    component: MatchLog,
+    meta: { requiresAuth: true }
+  },
+  {
+    path: '/admin',
+    name: 'Admin',
+    component: Admin,
+    meta: { requiresAuth: true, roles: ['ADMIN', 'MODERATOR'] }
+  },
+  {
+    path: '/403',
+    name: 'Forbidden',
+    component: Forbidden
   }
 ]
 
@@ -42,25 +103,106 @@ const router = createRouter({
   routes
 })
 
+/**
+ * Check whether the current user has at least one of the given roles
+ * Falls back to the token's roles claim while the profile is not loaded.
+ * @param {string[]} roles - Accepted roles
+ * @returns {boolean} True if any role matches
+ */
+const hasAnyRole = (roles) => {
+  const userRoles = authStore.user?.roles || getCurrentClaims()?.roles || []
+  return roles.some(role => userRoles.includes(role))
+}
+
 // Navigation guards
 router.beforeEach((to, from, next) => {
   const isAuth = isAuthenticated()
   
   // Check if route requires authentication
   if (to.meta.requiresAuth && !isAuth) {
+    // A stored but expired token means the session ran out rather than never existed
+    const expired = hasExpiredToken()
+    if (expired) {
+      logout()
+      clearUser()
+    }
+
     // Redirect to login if not authenticated
-    next({ name: 'Login', query: { redirect: to.fullPath } })
+    const query = { redirect: to.fullPath }
+    if (expired) {
+      query.reason = 'session-expired'
+    }
+    next({ name: 'Login', query })
   }
   // Check if route requires guest (login/register pages)
   else if (to.meta.requiresGuest && isAuth) {
     // Redirect to home if already authenticated
     next({ name: 'Home' })
   }
+  // Check if route is restricted to specific roles
+  else if (to.meta.roles && !hasAnyRole(to.meta.roles)) {
+    next({ name: 'Forbidden', query: { from: to.fullPath } })
+  }
   else {
     // Proceed normally
     next()
   }
 })
 
+/**
+ * End the current session, and send the user to login if the page needs it
+ * Remembers where they were so they can pick up where they left off. Public
+ * pages (Home, news, profiles) stay open, now as a logged-out visitor.
+ */
+const expireSession = () => {
+  logout()
+  clearUser()
+
+  const current = router.currentRoute.value
+  if (current.name === 'Login' || !current.meta.requiresAuth) return
+
+  router.push({
+    name: 'Login',
+    query: { redirect: current.fullPath, reason: 'session-expired' }
+  })
+}
+
+// Session expiry: any authenticated request rejected with 401 means the
+// token is no longer valid
+onUnauthorized(expireSession)
+
+// Re-verify shortly before the token expires, and expire the session on time
+// instead of waiting for the next failing request. The backend has no refresh
+// endpoint: re-verifying picks up a token revoked on the server (the 401 ends
+// the session through onUnauthorized) and refreshes the stored user's roles.
+watchSession({
+  onExpiring: async () => {
+    try {
+      if (await verifyToken()) {
+        setUser(getStoredUser())
+      }
+    } catch (error) {
+      console.error('Session re-verification failed:', error)
+    }
+  },
+  onExpired: expireSession
+})
+
+// Cross-tab sync: follow a login or logout made in another tab
+onAuthChange(({ isAuthenticated: loggedIn, remote }) => {
+  if (!remote) return
+
+  const current = router.currentRoute.value
+  if (loggedIn) {
+    refreshSessionTimers()
+    if (current.meta.requiresGuest) {
+      const redirect = current.query.redirect
+      router.push(typeof redirect === 'string' && redirect.startsWith('/') ? redirect : '/')
+    }
+  } else if (current.meta.requiresAuth) {
+    router.push({ name: 'Login', query: { redirect: current.fullPath } })
+  }
+})
+
 export default router
 
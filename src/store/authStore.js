@@ -1,32 +1,146 @@
 import { reactive, readonly } from 'vue'
-import { getStoredUser, isAuthenticated } from '../clients/authClient.js'
+import { getStoredUser, isAuthenticated, logout } from '../clients/authClient.js'
+import { TOKEN_KEY, USER_KEY } from '../clients/tokenStorage.js'
+
+// Channel used to mirror login/logout/profile changes to other open tabs
+const AUTH_CHANNEL_NAME = 'matchlog_auth'
 
 /**
  * Global authentication store
  * Manages user state across the application
  */
 const state = reactive({
-  user: getStoredUser(),
+  // Ignore a stored user whose token has already expired
+  user: isAuthenticated() ? getStoredUser() : null,
   isAuthenticated: isAuthenticated(),
   isLoading: false,
   error: null
 })
 
+// Listeners notified when the user logs in or out (locally or in another tab)
+const authChangeListeners = new Set()
+let authChannel = null
+
+/**
+ * Apply a user to the state and notify listeners on login/logout transitions
+ * @param {User|null} user - User instance or null
+ * @param {boolean} remote - True when the change came from another tab
+ */
+const applyUser = (user, remote) => {
+  const wasAuthenticated = state.isAuthenticated
+  state.user = user
+  state.isAuthenticated = !!user
+
+  if (wasAuthenticated !== state.isAuthenticated) {
+    authChangeListeners.forEach(listener => listener({ isAuthenticated: state.isAuthenticated, remote }))
+  }
+}
+
+/**
+ * Tell other tabs about a local change
+ * @param {Object} message - Message ({ type: 'set-user' | 'clear-user' })
+ */
+const broadcast = (message) => {
+  try {
+    authChannel?.postMessage(message)
+  } catch (error) {
+    console.error('Error broadcasting auth change:', error)
+  }
+}
+
 /**
  * Update user state
  * @param {User} user - User instance
  */
 export const setUser = (user) => {
-  state.user = user
-  state.isAuthenticated = !!user
+  applyUser(user, false)
+  broadcast({ type: 'set-user' })
 }
 
 /**
  * Clear user state
  */
 export const clearUser = () => {
-  state.user = null
-  state.isAuthenticated = false
+  applyUser(null, false)
+  broadcast({ type: 'clear-user' })
+}
+
+/**
+ * Drop the session after another tab logged out
+ */
+const endRemoteSession = () => {
+  // Drop any copy of the session this tab still holds
+  logout()
+  applyUser(null, true)
+}
+
+/**
+ * Pick up a login or profile change made in another tab
+ * A session-only login ("remember me" off) lives in that tab's sessionStorage,
+ * which this tab cannot see - keep this tab's own state then instead of
+ * logging it out.
+ */
+const syncFromStorage = () => {
+  if (isAuthenticated()) {
+    applyUser(getStoredUser(), true)
+  }
+}
+
+/**
+ * Handle a message from another tab
+ * @param {MessageEvent} event - BroadcastChannel message
+ */
+const handleChannelMessage = (event) => {
+  if (event.data?.type === 'clear-user') {
+    endRemoteSession()
+  } else if (event.data?.type === 'set-user') {
+    syncFromStorage()
+  }
+}
+
+/**
+ * Handle a storage change made by another tab
+ * Fallback for browsers without BroadcastChannel.
+ * @param {StorageEvent} event - Storage event
+ */
+const handleStorageEvent = (event) => {
+  // event.key is null when another tab cleared the whole storage
+  if (event.key === null || (event.key === TOKEN_KEY && event.newValue === null)) {
+    endRemoteSession()
+  } else if (event.key === TOKEN_KEY || event.key === USER_KEY) {
+    syncFromStorage()
+  }
+}
+
+/**
+ * Start mirroring auth changes between tabs
+ * Login, logout and profile refreshes in one tab update every other tab.
+ * @returns {Function} Stop syncing
+ */
+export const startAuthSync = () => {
+  if (typeof window === 'undefined') return () => {}
+
+  if (typeof BroadcastChannel !== 'undefined' && !authChannel) {
+    authChannel = new BroadcastChannel(AUTH_CHANNEL_NAME)
+    authChannel.addEventListener('message', handleChannelMessage)
+  }
+  window.addEventListener('storage', handleStorageEvent)
+
+  return () => {
+    window.removeEventListener('storage', handleStorageEvent)
+    authChannel?.close()
+    authChannel = null
+  }
+}
+
+/**
+ * Subscribe to login/logout transitions
+ * @param {function({isAuthenticated: boolean, remote: boolean}): void} listener - Listener
+ * @returns {Function} Unsubscribe function
+ */
+export const onAuthChange = (listener) => {
+  authChangeListeners.add(listener)
+  return () => authChangeListeners.delete(listener)
 }
 
 /**
@@ -125,6 +239,8 @@ export default {
   state: authStore,
   setUser,
   clearUser,
+  startAuthSync,
+  onAuthChange,
   setLoading,
   setError,
   clearError,
@@ -0,0 +1,51 @@
+/**
+ * Pending action store
+ * Keeps unsent user input (e.g. a comment draft) in sessionStorage so it
+ * survives a redirect to the login page and can be retried afterwards.
+ */
+
+const DRAFT_KEY_PREFIX = 'matchlog_draft:'
+
+/**
+ * Save a draft
+ * @param {string} key - Draft key (e.g. 'comment:123')
+ * @param {Object} data - Serializable draft data
+ */
+export const saveDraft = (key, data) => {
+  try {
+    sessionStorage.setItem(DRAFT_KEY_PREFIX + key, JSON.stringify(data))
+  } catch (error) {
+    console.error('Error saving draft:', error)
+  }
+}
+
+/**
+ * Get a saved draft
+ * @param {string} key - Draft key
+ * @returns {Object|null} Draft data or null
+ */
+export const getDraft = (key) => {
+  const raw = sessionStorage.getItem(DRAFT_KEY_PREFIX + key)
+  if (!raw) return null
+
+  try {
+    return JSON.parse(raw)
+  } catch (error) {
+    console.error('Error parsing draft:', error)
+    return null
+  }
+}
+
+/**
+ * Remove a saved draft
+ * @param {string} key - Draft key
+ */
+export const clearDraft = (key) => {
+  sessionStorage.removeItem(DRAFT_KEY_PREFIX + key)
+}
+
+export default {
+  saveDraft,
+  getDraft,
+  clearDraft
+}
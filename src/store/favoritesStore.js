@@ -0,0 +1,242 @@
+import { reactive, readonly } from 'vue'
+import { authStore, onAuthChange } from './authStore.js'
+import {
+  getFavorites,
+  saveFavorites,
+  parseFavorites,
+  toFavoriteTeam,
+  toFavoriteCompetition
+} from '../clients/favoritesClient.js'
+
+/**
+ * Favourites store
+ * Starred teams and competitions. Logged-in users keep them on the backend;
+ * logged-out visitors keep them in localStorage, and that list is merged
+ * into the account on the next login.
+ */
+
+const FAVORITES_KEY = 'matchlog_favorites'
+
+/**
+ * Read the logged-out visitor's favourites
+ * @returns {Favorites} Favourites
+ */
+const readLocalFavorites = () => {
+  try {
+    const raw = localStorage.getItem(FAVORITES_KEY)
+    return parseFavorites(raw ? JSON.parse(raw) : null)
+  } catch (error) {
+    console.error('Error reading favorites:', error)
+    return parseFavorites(null)
+  }
+}
+
+/**
+ * Write the logged-out visitor's favourites
+ * @param {Favorites} favorites - Favourites
+ */
+const writeLocalFavorites = (favorites) => {
+  try {
+    localStorage.setItem(FAVORITES_KEY, JSON.stringify({
+      teams: favorites.teams.map(team => toFavoriteTeam(team).toJSON()),
+      competitions: favorites.competitions.map(competition => toFavoriteCompetition(competition).toJSON())
+    }))
+  } catch (error) {
+    console.error('Error saving favorites:', error)
+  }
+}
+
+const local = authStore.isAuthenticated ? parseFavorites(null) : readLocalFavorites()
+
+const state = reactive({
+  teams: local.teams, // TeamInfo[]
+  competitions: local.competitions, // Competition[]
+  loadedFor: null, // User ID the favourites belong to, null for a visitor
+  isLoading: false,
+  error: null
+})
+
+// In-flight load and the user it is for
+let loadPromise = null
+let loadingFor = null
+
+/**
+ * Add the items of `extra` missing from `base`
+ * @param {Object[]} base - Current items
+ * @param {Object[]} extra - Items to add
+ * @param {string} key - Identifying field
+ * @returns {Object[]} Merged items
+ */
+const mergeBy = (base, extra, key) => [
+  ...base,
+  ...extra.filter(item => !base.some(existing => existing[key] === item[key]))
+]
+
+/**
+ * Load the current user's favourites once per session
+ * Favourites starred while logged out are added to the account and then
+ * removed from localStorage. Concurrent callers share the same request.
+ * @param {Object} [params] - Load parameters
+ * @param {boolean} [params.force=false] - Reload even when already loaded
+ * @returns {Promise<Favorites>} Favourites
+ */
+export const loadFavorites = async ({ force = false } = {}) => {
+  const userId = authStore.user?.id
+  if (!userId) return { teams: state.teams, competitions: state.competitions }
+  if (!force && state.loadedFor === userId) return { teams: state.teams, competitions: state.competitions }
+  // A load still running for a previous user must not stand in for this one
+  if (loadPromise && loadingFor === userId) return loadPromise
+
+  state.isLoading = true
+  state.error = null
+  const promise = (async () => {
+    const remote = await getFavorites(userId)
+    const visitor = readLocalFavorites()
+    const merged = {
+      teams: mergeBy(remote.teams, visitor.teams, 'id'),
+      competitions: mergeBy(remote.competitions, visitor.competitions, 'code')
+    }
+    if (merged.teams.length !== remote.teams.length || merged.competitions.length !== remote.competitions.length) {
+      await saveFavorites(userId, merged)
+    }
+
+    // Ignore a response for a user who logged out meanwhile - the visitor's
+    // favourites are theirs again then
+    if (authStore.user?.id === userId) {
+      localStorage.removeItem(FAVORITES_KEY)
+      state.teams = merged.teams
+      state.competitions = merged.competitions
+      state.loadedFor = userId
+    }
+    return { teams: state.teams, competitions: state.competitions }
+  })()
+    .catch((error) => {
+      if (authStore.user?.id === userId) {
+        state.error = error.message || 'An error occurred'
+      }
+      throw error
+    })
+    .finally(() => {
+      // Only the latest load owns the shared state
+      if (loadPromise === promise) {
+        state.isLoading = false
+        loadPromise = null
+        loadingFor = null
+      }
+    })
+  loadPromise = promise
+  loadingFor = userId
+  return promise
+}
+
+/**
+ * Check whether a team is a favourite
+ * @param {number} teamId - Team ID
+ * @returns {boolean} True if starred
+ */
+export const isFavoriteTeam = (teamId) => {
+  return state.teams.some(team => team.id === Number(teamId))
+}
+
+/**
+ * Check whether a competition is a favourite
+ * @param {string} code - Competition code (e.g. 'PL')
+ * @returns {boolean} True if starred
+ */
+export const isFavoriteCompetition = (code) => {
+  return state.competitions.some(competition => competition.code === code)
+}
+
+/**
+ * Apply a change and persist it, restoring the previous lists on failure
+ * @param {Favorites} next - New favourites
+ * @returns {Promise<void>}
+ */
+const persist = async (next) => {
+  const previous = { teams: state.teams, competitions: state.competitions }
+  state.teams = next.teams
+  state.competitions = next.competitions
+  state.error = null
+
+  const userId = authStore.user?.id
+  if (!userId) {
+    writeLocalFavorites(next)
+    return
+  }
+
+  try {
+    await saveFavorites(userId, next)
+  } catch (error) {
+    state.teams = previous.teams
+    state.competitions = previous.competitions
+    state.error = error.message || 'An error occurred'
+    throw error
+  }
+}
+
+/**
+ * Wait until the current user's favourites are loaded
+ * Saving replaces the whole list on the backend, so a change must never be
+ * built on the empty list a logged-in user starts with.
+ * @returns {Promise<void>}
+ * @throws {Error} If the favourites could not be loaded
+ */
+const ensureLoaded = async () => {
+  const userId = authStore.user?.id
+  if (!userId || state.loadedFor === userId) return
+  await loadFavorites()
+  if (authStore.user?.id && state.loadedFor !== authStore.user.id) {
+    throw new Error('Favourites are not loaded yet')
+  }
+}
+
+/**
+ * Star or unstar a team
+ * @param {TeamInfo} team - Team
+ * @returns {Promise<void>}
+ */
+export const toggleFavoriteTeam = async (team) => {
+  await ensureLoaded()
+  const teams = isFavoriteTeam(team.id)
+    ? state.teams.filter(existing => existing.id !== team.id)
+    : [...state.teams, toFavoriteTeam(team)]
+  await persist({ teams, competitions: state.competitions })
+}
+
+/**
+ * Star or unstar a competition
+ * @param {Competition} competition - Competition
+ * @returns {Promise<void>}
+ */
+export const toggleFavoriteCompetition = async (competition) => {
+  await ensureLoaded()
+  const competitions = isFavoriteCompetition(competition.code)
+    ? state.competitions.filter(existing => existing.code !== competition.code)
+    : [...state.competitions, toFavoriteCompetition(competition)]
+  await persist({ teams: state.teams, competitions })
+}
+
+// Load the account's favourites on login, fall back to the visitor's on logout
+onAuthChange(({ isAuthenticated }) => {
+  if (isAuthenticated) {
+    loadFavorites({ force: true }).catch(() => {})
+    return
+  }
+  const visitor = readLocalFavorites()
+  state.teams = visitor.teams
+  state.competitions = visitor.competitions
+  state.loadedFor = null
+  state.error = null
+})
+
+// Export readonly state for components to use
+export const favoritesStore = readonly(state)
+
+export default {
+  state: favoritesStore,
+  loadFavorites,
+  isFavoriteTeam,
+  isFavoriteCompetition,
+  toggleFavoriteTeam,
+  toggleFavoriteCompetition
+}
@@ -0,0 +1,139 @@
+import { reactive, readonly } from 'vue'
+import { authStore, onAuthChange } from './authStore.js'
+import {
+  getUserLog,
+  createLogEntry,
+  updateLogEntry,
+  deleteLogEntry,
+  attachLogMatches
+} from '../clients/matchLogClient.js'
+
+/**
+ * Match log store
+ * Holds the logged-in user's diary so every match card can show whether
+ * the match was logged without a request per card.
+ */
+const state = reactive({
+  entries: [], // LogEntry[], most recently seen first
+  loadedFor: null, // User ID the entries belong to
+  isLoading: false,
+  error: null
+})
+
+let loadPromise = null
+
+const sortEntries = () => {
+  state.entries.sort((a, b) => (b.watchedOn || '').localeCompare(a.watchedOn || ''))
+}
+
+/**
+ * Load the current user's log once per session
+ * Concurrent callers share the same request.
+ * @param {Object} [params] - Load parameters
+ * @param {boolean} [params.force=false] - Reload even when already loaded
+ * @returns {Promise<LogEntry[]>} Entries
+ */
+export const loadMyLog = async ({ force = false } = {}) => {
+  const userId = authStore.user?.id
+  if (!userId) return []
+  if (!force && state.loadedFor === userId) return state.entries
+  if (loadPromise) return loadPromise
+
+  state.isLoading = true
+  state.error = null
+  loadPromise = getUserLog(userId)
+    .then((entries) => {
+      // Ignore a response for a user who logged out meanwhile
+      if (authStore.user?.id === userId) {
+        state.entries = entries
+        state.loadedFor = userId
+      }
+      return state.entries
+    })
+    .catch((error) => {
+      state.error = error.message || 'An error occurred'
+      throw error
+    })
+    .finally(() => {
+      state.isLoading = false
+      loadPromise = null
+    })
+  return loadPromise
+}
+
+/**
+ * Load the current user's log along with the match of every entry
+ * Used by the log page, which filters on competitions, teams and seasons.
+ * @returns {Promise<LogEntry[]>} Entries
+ */
+export const loadMyLogWithMatches = async () => {
+  await loadMyLog()
+  await attachLogMatches(state.entries)
+  return state.entries
+}
+
+/**
+ * Get the current user's entry for a match
+ * @param {number} matchId - Match ID
+ * @returns {LogEntry|null} Entry or null
+ */
+export const getLogEntryForMatch = (matchId) => {
+  return state.entries.find(entry => entry.matchId === Number(matchId)) || null
+}
+
+/**
+ * Create or update the current user's entry for a match
+ * @param {Object} entryData - Entry data (matchId, type, rating, review, watchedOn)
+ * @returns {Promise<LogEntry>} Saved entry
+ */
+export const saveLogEntry = async (entryData) => {
+  const existing = getLogEntryForMatch(entryData.matchId)
+  const body = { ...entryData, userId: authStore.user?.id }
+  const saved = existing
+    ? await updateLogEntry(existing.id, body)
+    : await createLogEntry(body)
+
+  // Keep the match already attached to the entry
+  if (!saved.match) saved.match = existing?.match || entryData.match || null
+  state.entries = state.entries.filter(entry => entry.id !== saved.id && entry.matchId !== saved.matchId)
+  state.entries.push(saved)
+  sortEntries()
+  return saved
+}
+
+/**
+ * Delete an entry from the current user's log
+ * @param {string} entryId - Entry ID
+ * @returns {Promise<void>}
+ */
+export const removeLogEntry = async (entryId) => {
+  await deleteLogEntry(entryId)
+  state.entries = state.entries.filter(entry => entry.id !== entryId)
+}
+
+/**
+ * Forget the loaded log
+ */
+export const clearMyLog = () => {
+  state.entries = []
+  state.loadedFor = null
+  state.error = null
+}
+
+// Someone else may log in next
+onAuthChange(({ isAuthenticated }) => {
+  if (!isAuthenticated) clearMyLog()
+})
+
+// Export readonly state for components to use
+export const matchLogStore = readonly(state)
+
+export default {
+  state: matchLogStore,
+  loadMyLog,
+  loadMyLogWithMatches,
+  getLogEntryForMatch,
+  saveLogEntry,
+  removeLogEntry,
+  clearMyLog
+}
@@ -0,0 +1,187 @@
+import { Match } from '../models/Match.js'
+
+// IndexedDB database for offline use
+const DB_NAME = 'matchlog'
+const DB_VERSION = 1
+
+// Object stores
+const MATCHES = 'matches' // { id, match, savedAt } - one record per match
+const LISTS = 'lists' // { key, ids, savedAt } - match IDs returned by a list endpoint
+const OUTBOX = 'outbox' // { id, ...comment, queuedAt } - comments waiting for a connection
+
+let dbPromise = null
+
+/**
+ * Open (and create or upgrade) the database
+ * @returns {Promise<IDBDatabase>} Database
+ */
+const openDatabase = () => {
+  if (typeof indexedDB === 'undefined') {
+    return Promise.reject(new Error('IndexedDB is not available'))
+  }
+
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const openRequest = indexedDB.open(DB_NAME, DB_VERSION)
+      openRequest.onupgradeneeded = () => {
+        const db = openRequest.result
+        if (!db.objectStoreNames.contains(MATCHES)) {
+          db.createObjectStore(MATCHES, { keyPath: 'id' })
+        }
+        if (!db.objectStoreNames.contains(LISTS)) {
+          db.createObjectStore(LISTS, { keyPath: 'key' })
+        }
+        if (!db.objectStoreNames.contains(OUTBOX)) {
+          db.createObjectStore(OUTBOX, { keyPath: 'id', autoIncrement: true })
+        }
+      }
+      openRequest.onsuccess = () => resolve(openRequest.result)
+      openRequest.onerror = () => {
+        dbPromise = null
+        reject(openRequest.error)
+      }
+    })
+  }
+  return dbPromise
+}
+
+/**
+ * Run work in a transaction and resolve once it has committed
+ * @param {string|string[]} storeNames - Stores used
+ * @param {IDBTransactionMode} mode - 'readonly' or 'readwrite'
+ * @param {function(IDBTransaction): *} work - Queues requests, may return a value or IDBRequest(s) to resolve with
+ * @returns {Promise<*>} Returned value, with IDBRequests replaced by their results
+ */
+const transact = async (storeNames, mode, work) => {
+  const db = await openDatabase()
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeNames, mode)
+    const result = work(transaction)
+    const unwrap = (value) => (value instanceof IDBRequest ? value.result : value)
+
+    transaction.oncomplete = () => resolve(Array.isArray(result) ? result.map(unwrap) : unwrap(result))
+    transaction.onerror = () => reject(transaction.error)
+    transaction.onabort = () => reject(transaction.error)
+  })
+}
+
+/**
+ * Serialize a match for storage through the Match model
+ * @param {Object} data - Match from the API
+ * @param {string} savedAt - ISO timestamp
+ * @returns {Object} Stored record
+ */
+const toRecord = (data, savedAt) => ({
+  id: data.id,
+  match: Match.fromJSON(data).toJSON(),
+  savedAt
+})
+
+/**
+ * Turn a stored record back into API-shaped match data
+ * `savedAt` tells the views the data came from the device, not the server.
+ * @param {Object} record - Stored record
+ * @returns {Object} Match data with `savedAt`
+ */
+const fromRecord = (record) => ({ ...record.match, savedAt: record.savedAt })
+
+/**
+ * Save a single match
+ * @param {Object} data - Match from the API
+ * @returns {Promise<void>}
+ */
+export const saveMatch = (data) => {
+  if (!data?.id) return Promise.resolve()
+  const savedAt = new Date().toISOString()
+  return transact(MATCHES, 'readwrite', (transaction) => {
+    transaction.objectStore(MATCHES).put(toRecord(data, savedAt))
+  })
+}
+
+/**
+ * Save the matches returned by a list endpoint
+ * @param {string} key - List key (request path and query)
+ * @param {Object[]} matches - Matches from the API
+ * @returns {Promise<void>}
+ */
+export const saveMatchList = (key, matches) => {
+  const savedAt = new Date().toISOString()
+  const stored = matches.filter(match => match?.id)
+  return transact([MATCHES, LISTS], 'readwrite', (transaction) => {
+    const matchStore = transaction.objectStore(MATCHES)
+    stored.forEach(match => matchStore.put(toRecord(match, savedAt)))
+    transaction.objectStore(LISTS).put({ key, ids: stored.map(match => match.id), savedAt })
+  })
+}
+
+/**
+ * Get a saved match
+ * @param {number} id - Match ID
+ * @returns {Promise<Object|null>} Match data with `savedAt`, or null
+ */
+export const getSavedMatch = async (id) => {
+  const record = await transact(MATCHES, 'readonly', (transaction) =>
+    transaction.objectStore(MATCHES).get(Number(id))
+  )
+  return record ? fromRecord(record) : null
+}
+
+/**
+ * Get the saved result of a list endpoint
+ * Each match is read from the match store, so it reflects the latest copy
+ * saved by any request.
+ * @param {string} key - List key (request path and query)
+ * @returns {Promise<Object[]|null>} Matches with `savedAt`, or null if the list was never saved
+ */
+export const getSavedMatchList = async (key) => {
+  const list = await transact(LISTS, 'readonly', (transaction) =>
+    transaction.objectStore(LISTS).get(key)
+  )
+  if (!list) return null
+
+  const records = await transact(MATCHES, 'readonly', (transaction) => {
+    const matchStore = transaction.objectStore(MATCHES)
+    return list.ids.map(id => matchStore.get(id))
+  })
+  return records.filter(Boolean).map(fromRecord)
+}
+
+/**
+ * Queue a comment to send once the connection is back
+ * @param {Object} comment - Comment data (text, userId, eventId, parentId)
+ * @returns {Promise<number>} Outbox item ID
+ */
+export const addToOutbox = (comment) => {
+  return transact(OUTBOX, 'readwrite', (transaction) =>
+    transaction.objectStore(OUTBOX).add({ ...comment, queuedAt: new Date().toISOString() })
+  )
+}
+
+/**
+ * Get every queued comment, oldest first
+ * @returns {Promise<Object[]>} Outbox items
+ */
+export const getOutbox = () => {
+  return transact(OUTBOX, 'readonly', (transaction) => transaction.objectStore(OUTBOX).getAll())
+}
+
+/**
+ * Remove a comment from the outbox
+ * @param {number} id - Outbox item ID
+ * @returns {Promise<void>}
+ */
+export const removeFromOutbox = (id) => {
+  return transact(OUTBOX, 'readwrite', (transaction) => {
+    transaction.objectStore(OUTBOX).delete(id)
+  })
+}
+
+export default {
+  saveMatch,
+  saveMatchList,
+  getSavedMatch,
+  getSavedMatchList,
+  addToOutbox,
+  getOutbox,
+  removeFromOutbox
+}